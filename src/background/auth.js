@@ -0,0 +1,92 @@
+/**
+ * Google sign-in for OAuth mode, where the subscription list comes from
+ * subscriptions.list?mine=true instead of the DOM.
+ *
+ * Uses chrome.identity.launchWebAuthFlow with the implicit grant and a
+ * user-supplied OAuth client ID (type "Web application", with
+ * chrome.identity.getRedirectURL() registered as a redirect URI).
+ * chrome.identity.getAuthToken would need a client ID baked into
+ * manifest.json, which an unpacked extension can't ship.
+ *
+ * The authorization URL is a setting too, so a local stand-in server can
+ * answer the sign-in (redirect back with #access_token=…) when testing
+ * offline.
+ *
+ * Tokens live in chrome.storage.session: they are never written to disk and
+ * go away when the browser closes.
+ */
+
+const SCOPE = "https://www.googleapis.com/auth/youtube.readonly";
+
+// Treat a token as expired a little early so it can't lapse mid-scan
+const EXPIRY_MARGIN_MS = 60 * 1000;
+
+function authRequired(detail) {
+  const err = new Error("AUTH_REQUIRED");
+  err.isAuth = true;
+  err.detail = detail;
+  return err;
+}
+
+async function getStoredToken() {
+  const { oauthToken } = await chrome.storage.session.get("oauthToken");
+  if (oauthToken && oauthToken.expiresAt - EXPIRY_MARGIN_MS > Date.now()) {
+    return oauthToken.accessToken;
+  }
+  return null;
+}
+
+/**
+ * Returns a valid access token, running the sign-in flow if needed.
+ * Non-interactive calls only succeed if Google can complete the flow
+ * without showing anything (user already signed in and consented).
+ *
+ * @param {object}  settings
+ * @param {object}  opts – { interactive }
+ * @returns {Promise<string>}
+ * @throws {Error} AUTH_REQUIRED (err.isAuth) when no token can be obtained
+ */
+export async function getAccessToken(settings, { interactive = false } = {}) {
+  const stored = await getStoredToken();
+  if (stored) return stored;
+
+  if (!settings.oauthClientId) throw authRequired("No OAuth client ID set");
+
+  const authUrl = new URL(settings.oauthAuthUrl);
+  authUrl.searchParams.set("client_id", settings.oauthClientId);
+  authUrl.searchParams.set("response_type", "token");
+  authUrl.searchParams.set("redirect_uri", chrome.identity.getRedirectURL());
+  authUrl.searchParams.set("scope", SCOPE);
+
+  let redirect;
+  try {
+    redirect = await chrome.identity.launchWebAuthFlow({
+      url: authUrl.toString(),
+      interactive,
+    });
+  } catch (e) {
+    throw authRequired(e.message);
+  }
+
+  const params = new URLSearchParams(new URL(redirect).hash.slice(1));
+  const accessToken = params.get("access_token");
+  if (!accessToken) {
+    throw authRequired(params.get("error") || "No access token returned");
+  }
+
+  const expiresIn = Number(params.get("expires_in")) || 3600;
+  await chrome.storage.session.set({
+    oauthToken: { accessToken, expiresAt: Date.now() + expiresIn * 1000 },
+  });
+  return accessToken;
+}
+
+/** Whether a non-expired token is held (no sign-in flow is started). */
+export async function isSignedIn() {
+  return (await getStoredToken()) != null;
+}
+
+/** Forgets the current token (sign-out, or after the API rejects it). */
+export async function clearAccessToken() {
+  await chrome.storage.session.remove("oauthToken");
+}
@@ -0,0 +1,293 @@
+/**
+ * Per-channel cache, stored in IndexedDB (database "ytsc-cache").
+ *
+ * Entry shape (what callers read and write):
+ *   { uploadsPlaylistId, lastUploadAt, lastCheckedAt, title?, handle?, avatarUrl?, source? }
+ * source is "rss" for entries read from a channel feed, which have no
+ * uploadsPlaylistId unless an earlier API scan found one.
+ *
+ * Each entry is kept in a record of the "channels" store next to the fields
+ * it is indexed by:
+ *   { channelId, entry, status, lastCheckedAt, lastSeenScan }
+ * status is "ok" or "no_uploads"; lastSeenScan is the number of the last
+ * subscriptions-page visit (or OAuth scan) that listed the channel, counted
+ * in the "meta" store. Only visits that got to see the complete list count.
+ * Channels missing from too many of them in a row – unsubscribed, most
+ * likely – are evicted.
+ *
+ * Two kinds of versions:
+ *   DB_VERSION      – object stores and indexes, upgraded in onupgradeneeded
+ *   MIGRATIONS      – data moves, run once each after opening; the number
+ *                     done so far is kept in meta as "schema"
+ */
+
+const DB_NAME = "ytsc-cache";
+const DB_VERSION = 1;
+
+const CHANNELS = "channels";
+const META = "meta";
+
+// Where entries lived before IndexedDB
+const LEGACY_PREFIX = "cache.";
+
+// Writes buffered by createCacheWriter() before they are flushed
+const WRITE_BATCH = 25;
+
+// ── IndexedDB plumbing ──────────────────────────────────────────────────────
+
+function requestDone(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+function transactionDone(tx) {
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error ?? new Error("Transaction aborted"));
+  });
+}
+
+function upgrade(db, oldVersion) {
+  if (oldVersion < 1) {
+    const channels = db.createObjectStore(CHANNELS, { keyPath: "channelId" });
+    channels.createIndex("status", "status");
+    channels.createIndex("lastCheckedAt", "lastCheckedAt");
+    channels.createIndex("lastSeenScan", "lastSeenScan");
+    db.createObjectStore(META, { keyPath: "key" });
+  }
+}
+
+function recordFor(channelId, entry, lastSeenScan) {
+  return {
+    channelId,
+    entry,
+    status: entry.lastUploadAt ? "ok" : "no_uploads",
+    lastCheckedAt: entry.lastCheckedAt ?? 0,
+    lastSeenScan,
+  };
+}
+
+async function getMeta(db, key) {
+  const tx = db.transaction(META);
+  const row = await requestDone(tx.objectStore(META).get(key));
+  return row?.value;
+}
+
+async function setMeta(db, key, value) {
+  const tx = db.transaction(META, "readwrite");
+  tx.objectStore(META).put({ key, value });
+  await transactionDone(tx);
+}
+
+// ── Data migrations ─────────────────────────────────────────────────────────
+// Append only; each runs once, in order.
+
+const MIGRATIONS = [
+  // 1: `cache.<channelId>` keys in chrome.storage.local → IndexedDB
+  async (db) => {
+    const all = await chrome.storage.local.get(null);
+    const keys = Object.keys(all).filter((k) => k.startsWith(LEGACY_PREFIX));
+    if (keys.length === 0) return;
+
+    const tx = db.transaction(CHANNELS, "readwrite");
+    const store = tx.objectStore(CHANNELS);
+    for (const key of keys) {
+      store.put(recordFor(key.slice(LEGACY_PREFIX.length), all[key], 0));
+    }
+    await transactionDone(tx);
+    await chrome.storage.local.remove(keys);
+  },
+];
+
+async function migrate(db) {
+  const done = (await getMeta(db, "schema")) ?? 0;
+  for (let version = done; version < MIGRATIONS.length; version++) {
+    await MIGRATIONS[version](db);
+    await setMeta(db, "schema", version + 1);
+  }
+}
+
+let dbPromise = null;
+
+/** Opens the database once per service worker lifetime, migrated. */
+function openDb() {
+  dbPromise ??= (async () => {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = (e) => upgrade(request.result, e.oldVersion);
+    const db = await requestDone(request);
+    await migrate(db);
+    return db;
+  })().catch((e) => {
+    dbPromise = null; // try again on the next call
+    throw e;
+  });
+  return dbPromise;
+}
+
+// ── Reading ─────────────────────────────────────────────────────────────────
+
+/**
+ * Returns a map: channelId → cache entry (only channels that have one).
+ * @param {string[]} channelIds
+ */
+export async function getCacheEntries(channelIds) {
+  const db = await openDb();
+  const store = db.transaction(CHANNELS).objectStore(CHANNELS);
+  const records = await Promise.all(channelIds.map((id) => requestDone(store.get(id))));
+  const entries = {};
+  for (const record of records) {
+    if (record) entries[record.channelId] = record.entry;
+  }
+  return entries;
+}
+
+/**
+ * Returns every cache entry as a map: channelId → cache entry.
+ */
+export async function listCacheEntries() {
+  const db = await openDb();
+  const records = await requestDone(db.transaction(CHANNELS).objectStore(CHANNELS).getAll());
+  const entries = {};
+  for (const record of records) entries[record.channelId] = record.entry;
+  return entries;
+}
+
+/**
+ * Counts cache entries through the indexes.
+ * @param {number} staleBefore – entries last checked before this (ms) are stale
+ * @returns {Promise<{ total: number, stale: number, noUploads: number }>}
+ */
+export async function countCacheEntries(staleBefore) {
+  const db = await openDb();
+  const store = db.transaction(CHANNELS).objectStore(CHANNELS);
+  const [total, stale, noUploads] = await Promise.all([
+    requestDone(store.count()),
+    requestDone(store.index("lastCheckedAt").count(IDBKeyRange.upperBound(staleBefore, true))),
+    requestDone(store.index("status").count("no_uploads")),
+  ]);
+  return { total, stale, noUploads };
+}
+
+// ── Writing ─────────────────────────────────────────────────────────────────
+
+/**
+ * Writes (replaces) cache entries in one transaction. A channel's
+ * last-seen scan is kept; new channels count as seen in the current one.
+ * @param {object} entries  channelId → cache entry
+ */
+export async function setCacheEntries(entries) {
+  const ids = Object.keys(entries);
+  if (ids.length === 0) return;
+  const db = await openDb();
+  const currentScan = (await getMeta(db, "scans")) ?? 0;
+
+  const tx = db.transaction(CHANNELS, "readwrite");
+  const store = tx.objectStore(CHANNELS);
+  for (const channelId of ids) {
+    const get = store.get(channelId);
+    get.onsuccess = () => {
+      const lastSeenScan = get.result?.lastSeenScan ?? currentScan;
+      store.put(recordFor(channelId, entries[channelId], lastSeenScan));
+    };
+  }
+  await transactionDone(tx);
+}
+
+/**
+ * Buffers cache writes from a scan and saves them in batches, instead of
+ * one transaction per channel. Call flush() once the scan is done.
+ * @returns {{ put(channelId: string, entry: object): Promise<void>, flush(): Promise<void> }}
+ */
+export function createCacheWriter() {
+  let pending = {};
+  const flush = async () => {
+    const batch = pending;
+    pending = {};
+    await setCacheEntries(batch);
+  };
+  return {
+    async put(channelId, entry) {
+      pending[channelId] = entry;
+      if (Object.keys(pending).length >= WRITE_BATCH) await flush();
+    },
+    flush,
+  };
+}
+
+/**
+ * Records that a subscriptions-page visit (or an OAuth subscription scan)
+ * listed these channels.
+ *
+ * Only a complete list – every subscription, not just the part of the page
+ * YouTube has loaded so far – says anything about the channels missing from
+ * it. The first complete one of a visit starts a new scan number and evicts
+ * channels missing from the last `evictAfterScans` of them (0 = never
+ * evict). A partial list only marks its channels as seen in the current one.
+ *
+ * @param {string[]} channelIds
+ * @param {string}   visit            – same for every scan of one page visit
+ * @param {number}   evictAfterScans
+ * @param {boolean}  complete         – the list holds every subscription
+ * @returns {Promise<number>} entries evicted
+ */
+export async function markSeen(channelIds, visit, evictAfterScans, complete) {
+  const db = await openDb();
+  let scan = (await getMeta(db, "scans")) ?? 0;
+  const isNewVisit = complete && (await getMeta(db, "lastVisit")) !== visit;
+  if (isNewVisit) {
+    scan++;
+    await setMeta(db, "scans", scan);
+    await setMeta(db, "lastVisit", visit);
+  }
+
+  const tx = db.transaction(CHANNELS, "readwrite");
+  const store = tx.objectStore(CHANNELS);
+  for (const channelId of channelIds) {
+    const get = store.get(channelId);
+    get.onsuccess = () => {
+      if (get.result && get.result.lastSeenScan !== scan) {
+        store.put({ ...get.result, lastSeenScan: scan });
+      }
+    };
+  }
+  await transactionDone(tx);
+
+  if (!isNewVisit || evictAfterScans <= 0) return 0;
+  return evictUnseenSince(db, scan - evictAfterScans);
+}
+
+/** Deletes the entries last seen in scan `lastScan` or earlier. */
+async function evictUnseenSince(db, lastScan) {
+  let evicted = 0;
+  const tx = db.transaction(CHANNELS, "readwrite");
+  const cursorRequest = tx
+    .objectStore(CHANNELS)
+    .index("lastSeenScan")
+    .openCursor(IDBKeyRange.upperBound(lastScan));
+  cursorRequest.onsuccess = () => {
+    const cursor = cursorRequest.result;
+    if (!cursor) return;
+    cursor.delete();
+    evicted++;
+    cursor.continue();
+  };
+  await transactionDone(tx);
+  return evicted;
+}
+
+/**
+ * Removes every cache entry.
+ * @returns {Promise<number>}  number of entries removed
+ */
+export async function clearCache() {
+  const db = await openDb();
+  const tx = db.transaction(CHANNELS, "readwrite");
+  const store = tx.objectStore(CHANNELS);
+  const count = await requestDone(store.count());
+  store.clear();
+  await transactionDone(tx);
+  return count;
+}
@@ -0,0 +1,52 @@
+/**
+ * Upload cadence: how often a channel usually uploads, and whether its
+ * current silence is far beyond its own norm.
+ *
+ * A yearly uploader and a daily vlogger that stopped six weeks ago look the
+ * same against one global threshold; the median gap between recent uploads
+ * tells them apart. The sample comes from the same playlistItems.list call
+ * as the last upload date, just with a bigger page – still 1 unit.
+ */
+
+// Uploads fetched per channel when cadence analysis is on (the API maximum)
+export const CADENCE_SAMPLE_SIZE = 50;
+
+// Fewer uploads than this say nothing about a channel's rhythm
+const MIN_UPLOADS = 4;
+
+// Never call a channel quiet before this many days, whatever its cadence
+const MIN_QUIET_DAYS = 14;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Median gap between consecutive uploads, in whole days (at least 1).
+ * @param {string[]} publishedAt – ISO dates, any order; nulls are ignored
+ * @returns {number|null} null when there are too few uploads
+ */
+export function typicalIntervalDays(publishedAt) {
+  const times = publishedAt
+    .filter(Boolean)
+    .map((d) => new Date(d).getTime())
+    .sort((a, b) => b - a);
+  if (times.length < MIN_UPLOADS) return null;
+
+  const gaps = [];
+  for (let i = 1; i < times.length; i++) gaps.push(times[i - 1] - times[i]);
+  gaps.sort((a, b) => a - b);
+
+  const mid = Math.floor(gaps.length / 2);
+  const median = gaps.length % 2 ? gaps[mid] : (gaps[mid - 1] + gaps[mid]) / 2;
+  return Math.max(1, Math.round(median / DAY_MS));
+}
+
+/**
+ * Whether the current gap is far beyond the channel's usual one.
+ * @param {number|null} daysAgo
+ * @param {number|null} intervalDays – from typicalIntervalDays()
+ * @param {number}      factor       – how many usual gaps count as "quiet"
+ */
+export function isGoingQuiet(daysAgo, intervalDays, factor) {
+  if (daysAgo == null || intervalDays == null) return false;
+  return daysAgo > Math.max(intervalDays * factor, MIN_QUIET_DAYS);
+}
@@ -0,0 +1,157 @@
+/**
+ * Export builders for scan results: CSV (spreadsheets), JSON (scripts) and
+ * OPML (feed readers, one RSS outline per channel).
+ *
+ * Rows are the objects returned by listCachedResults() with overrides
+ * applied, plus a `flagged` boolean.
+ */
+
+const CSV_COLUMNS = [
+  "channelId",
+  "title",
+  "handle",
+  "url",
+  "status",
+  "flagged",
+  "tier",
+  "lastUploadAt",
+  "daysAgo",
+  "thresholdDays",
+  "customThresholdDays",
+  "typicalIntervalDays",
+  "lastLongFormAt",
+  "lastShortAt",
+  "lastLiveAt",
+  "goingQuiet",
+  "whitelisted",
+  "snoozedUntil",
+  "tags",
+  "note",
+  "lastCheckedAt",
+  "error",
+];
+
+/** Filters offered by the popup / options export controls. */
+export const EXPORT_FILTERS = {
+  all: () => true,
+  inactive: (row) => row.flagged,
+  active: (row) => row.status === "ok" && !row.flagged,
+  no_uploads: (row) => row.status === "no_uploads",
+  errors: (row) => row.status === "api_error" || row.status === "quota_exceeded",
+};
+
+function channelUrl(channelId) {
+  return `https://www.youtube.com/channel/${channelId}`;
+}
+
+function feedUrl(channelId) {
+  return `https://www.youtube.com/feeds/videos.xml?channel_id=${channelId}`;
+}
+
+function isoOrEmpty(ms) {
+  return ms ? new Date(ms).toISOString() : "";
+}
+
+// ── CSV ──────────────────────────────────────────────────────────────────────
+
+function csvField(value) {
+  let s = value == null ? "" : String(value);
+  // Keep spreadsheets from evaluating channel names as formulas
+  if (typeof value === "string" && /^[=+\-@]/.test(s)) s = `'${s}`;
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+function toCsv(rows) {
+  const lines = [CSV_COLUMNS.join(",")];
+  for (const row of rows) {
+    const record = {
+      ...row,
+      url: channelUrl(row.channelId),
+      tier: row.tier?.label,
+      lastLongFormAt: row.lastByKind?.long,
+      lastShortAt: row.lastByKind?.short,
+      lastLiveAt: row.lastByKind?.live,
+      snoozedUntil: isoOrEmpty(row.snoozedUntil),
+      tags: row.tags?.join("; "),
+      lastCheckedAt: isoOrEmpty(row.lastCheckedAt),
+    };
+    lines.push(CSV_COLUMNS.map((c) => csvField(record[c])).join(","));
+  }
+  // BOM so Excel reads channel names as UTF-8
+  return "\uFEFF" + lines.join("\r\n") + "\r\n";
+}
+
+// ── JSON ─────────────────────────────────────────────────────────────────────
+
+function toJson(rows, filter) {
+  return JSON.stringify(
+    { exportedAt: new Date().toISOString(), filter, channels: rows },
+    null,
+    2
+  );
+}
+
+// ── OPML ─────────────────────────────────────────────────────────────────────
+
+function xmlEscape(s) {
+  return String(s)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+function toOpml(rows) {
+  const outlines = rows.map((row) => {
+    const name = xmlEscape(row.title || row.handle || row.channelId);
+    return (
+      `      <outline type="rss" text="${name}" title="${name}" ` +
+      `xmlUrl="${xmlEscape(feedUrl(row.channelId))}" ` +
+      `htmlUrl="${xmlEscape(channelUrl(row.channelId))}"/>`
+    );
+  });
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<opml version="2.0">',
+    "  <head>",
+    "    <title>YouTube subscriptions</title>",
+    `    <dateCreated>${new Date().toUTCString()}</dateCreated>`,
+    "  </head>",
+    "  <body>",
+    '    <outline text="YouTube subscriptions" title="YouTube subscriptions">',
+    ...outlines,
+    "    </outline>",
+    "  </body>",
+    "</opml>",
+    "",
+  ].join("\n");
+}
+
+// ── Public ───────────────────────────────────────────────────────────────────
+
+const FORMATS = {
+  csv: { mime: "text/csv", build: toCsv },
+  json: { mime: "application/json", build: toJson },
+  opml: { mime: "text/x-opml", build: toOpml },
+};
+
+/**
+ * Builds an export file.
+ *
+ * @param {object[]} rows
+ * @param {'csv'|'json'|'opml'} format
+ * @param {string} filter  – key of EXPORT_FILTERS, used in the file name
+ * @returns {{ filename: string, mime: string, text: string }}
+ */
+export function buildExport(rows, format, filter) {
+  const spec = FORMATS[format];
+  if (!spec) throw new Error(`UNKNOWN_FORMAT: ${format}`);
+
+  const date = new Date().toISOString().slice(0, 10);
+  return {
+    filename: `yt-subscriptions-${filter}-${date}.${format}`,
+    mime: spec.mime,
+    text: spec.build(rows, filter),
+  };
+}
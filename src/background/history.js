@@ -0,0 +1,164 @@
+/**
+ * Per-channel activity history, stored as `history.<channelId>` keys in
+ * chrome.storage.local. The cache entry only holds the latest check; this
+ * keeps a compact record of what changed from one scan to the next. Like the
+ * overrides it is never touched by CLEAR_CACHE.
+ *
+ * Entry shape: an array of points, oldest first, one per observed change:
+ *   {
+ *     at: number,                 // first seen (ms)
+ *     seenAt: number,             // last seen (ms)
+ *     status: "ok" | "no_uploads" | "gone",
+ *     lastUploadAt: string|null,  // ISO date
+ *     tier: string|null,          // tier ID
+ *     quiet: boolean              // in a flagged tier or going quiet
+ *   }
+ *
+ * `quiet` ignores whitelisting and snoozing: those are decisions about the
+ * channel, not something it did.
+ */
+
+const HISTORY_PREFIX = "history.";
+
+// Oldest points are dropped beyond this
+const MAX_POINTS = 60;
+
+// Statuses worth remembering; errors and skipped checks say nothing about
+// the channel
+const RECORDED = new Set(["ok", "no_uploads"]);
+
+function historyKey(channelId) {
+  return HISTORY_PREFIX + channelId;
+}
+
+function pointFor(info, now) {
+  return {
+    at: now,
+    seenAt: now,
+    status: info.gone ? "gone" : info.status,
+    lastUploadAt: info.lastUploadAt ?? null,
+    tier: info.tier?.id ?? null,
+    quiet: Boolean(info.tier?.flag || info.goingQuiet),
+  };
+}
+
+function samePoint(a, b) {
+  return (
+    a.status === b.status &&
+    a.lastUploadAt === b.lastUploadAt &&
+    a.tier === b.tier &&
+    a.quiet === b.quiet
+  );
+}
+
+/**
+ * Returns a map: channelId → history points (only channels that have any).
+ * @param {string[]} channelIds
+ */
+export async function getHistories(channelIds) {
+  const stored = await chrome.storage.local.get(channelIds.map(historyKey));
+  const histories = {};
+  for (const channelId of channelIds) {
+    const points = stored[historyKey(channelId)];
+    if (points?.length) histories[channelId] = points;
+  }
+  return histories;
+}
+
+/**
+ * Returns every stored history as a map: channelId → points.
+ */
+export async function listHistories() {
+  const all = await chrome.storage.local.get(null);
+  const histories = {};
+  for (const [key, value] of Object.entries(all)) {
+    if (key.startsWith(HISTORY_PREFIX)) {
+      histories[key.slice(HISTORY_PREFIX.length)] = value;
+    }
+  }
+  return histories;
+}
+
+/**
+ * Appends what a scan observed to each channel's history. A check that saw
+ * the same as last time only moves that point's `seenAt`.
+ *
+ * @param {object} result – channelId → info, with overrides (tiers) applied
+ */
+export async function recordHistory(result) {
+  const channelIds = Object.keys(result).filter((id) => RECORDED.has(result[id].status));
+  if (channelIds.length === 0) return;
+
+  const histories = await getHistories(channelIds);
+  const now = Date.now();
+  const toSet = {};
+  for (const channelId of channelIds) {
+    const points = histories[channelId] ?? [];
+    const point = pointFor(result[channelId], now);
+    const last = points.at(-1);
+    if (last && samePoint(last, point)) {
+      last.seenAt = now;
+    } else {
+      points.push(point);
+    }
+    toSet[historyKey(channelId)] = points.slice(-MAX_POINTS);
+  }
+  await chrome.storage.local.set(toSet);
+}
+
+/**
+ * The turning points in a history:
+ *   quiet    – moved into a flagged tier or went quiet
+ *   back     – uploaded again after being quiet (dated by the upload)
+ *   gone     – the channel no longer exists
+ *
+ * @param {object[]} points
+ * @returns {Array<{ kind: string, at: number }>} oldest first
+ */
+export function historyEvents(points = []) {
+  const events = [];
+  for (let i = 1; i < points.length; i++) {
+    const prev = points[i - 1];
+    const point = points[i];
+    if (point.status === "gone") {
+      if (prev.status !== "gone") events.push({ kind: "gone", at: point.at });
+    } else if (!prev.quiet && point.quiet) {
+      events.push({ kind: "quiet", at: point.at });
+    } else if (prev.quiet && !point.quiet) {
+      // The upload date, as far as it falls between the two checks
+      const uploaded = point.lastUploadAt ? Date.parse(point.lastUploadAt) : point.at;
+      events.push({ kind: "back", at: Math.min(Math.max(uploaded, prev.seenAt), point.at) });
+    }
+  }
+  return events;
+}
+
+/**
+ * A channel's history in the form the badge tooltip and the dashboard use.
+ * @param {object[]|undefined} points
+ * @returns {{ since: number, events: object[], points: object[] }|null}
+ */
+export function historySummary(points) {
+  if (!points?.length) return null;
+  return { since: points[0].at, events: historyEvents(points), points };
+}
+
+/**
+ * How many channels went quiet, came back or vanished since a given time –
+ * "how many of my subscriptions died this year".
+ *
+ * @param {object} histories – channelId → points
+ * @param {number} since     – ms
+ * @returns {{ quiet: number, back: number, gone: number }} channels, each
+ *   counted once per kind
+ */
+export function countEventsSince(histories, since) {
+  const counts = { quiet: 0, back: 0, gone: 0 };
+  for (const points of Object.values(histories)) {
+    const kinds = new Set(
+      historyEvents(points).filter((e) => e.at >= since).map((e) => e.kind)
+    );
+    for (const kind of kinds) counts[kind]++;
+  }
+  return counts;
+}
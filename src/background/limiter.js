@@ -2,10 +2,15 @@
  * Creates a concurrency limiter that queues async operations and runs at most
  * `concurrency` of them in parallel.
  *
- * @param {number} concurrency - Maximum number of parallel operations
+ * Operations still queued when `signal` aborts are dropped – their promises
+ * reject with the abort reason – and later ones are refused the same way.
+ * Running ones are left to notice the signal themselves.
+ *
+ * @param {number}      concurrency - Maximum number of parallel operations
+ * @param {AbortSignal} [signal]    - Cancels everything not yet started
  * @returns {function} - A function that wraps an async fn and returns a promise
  */
-export function createLimiter(concurrency) {
+export function createLimiter(concurrency, signal = null) {
   let active = 0;
   const queue = [];
 
@@ -22,10 +27,45 @@ export function createLimiter(concurrency) {
       });
   }
 
-  return function limit(fn) {
+  signal?.addEventListener(
+    "abort",
+    () => {
+      for (const { reject } of queue.splice(0)) reject(signal.reason);
+    },
+    { once: true }
+  );
+
+  function limit(fn) {
+    if (signal?.aborted) return Promise.reject(signal.reason);
     return new Promise((resolve, reject) => {
       queue.push({ fn, resolve, reject });
       next();
     });
-  };
+  }
+  return limit;
+}
+
+/**
+ * Resolves after `ms` milliseconds. Like fetch(), rejects with the abort
+ * reason as soon as `signal` aborts, so a retry backoff never outlives a
+ * cancelled scan.
+ *
+ * @param {number}      ms
+ * @param {AbortSignal} [signal]
+ * @returns {Promise<void>}
+ */
+export function sleep(ms, signal = null) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(signal.reason);
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+    // A scan's signal outlives many sleeps; don't leave one listener per sleep
+    const timer = setTimeout(() => {
+      signal?.removeEventListener("abort", onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener("abort", onAbort, { once: true });
+  });
 }
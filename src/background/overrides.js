@@ -0,0 +1,168 @@
+/**
+ * Per-channel overrides, stored as `override.<channelId>` keys in
+ * chrome.storage.local (apart from the channel cache in IndexedDB, and never
+ * touched by CLEAR_CACHE – these are user decisions, not API data).
+ *
+ * Entry shape:
+ *   {
+ *     whitelisted?: boolean,   // "never flag"
+ *     snoozedUntil?: number,   // not flagged before this time (ms)
+ *     thresholdDays?: number,  // replaces the global thresholdDays
+ *     note?: string,           // free text
+ *     tags?: string[]          // lower-case labels, for filtering the page
+ *   }
+ */
+
+import { tierFor } from "../shared/tiers.js";
+
+const OVERRIDE_PREFIX = "override.";
+
+// Same caps as the badge menu (ytscParseTags in src/content/badgeMenu.js)
+const MAX_TAGS = 10;
+const MAX_TAG_LENGTH = 30;
+
+function overrideKey(channelId) {
+  return OVERRIDE_PREFIX + channelId;
+}
+
+/**
+ * Returns a map: channelId → override entry (only channels that have one).
+ * @param {string[]} channelIds
+ */
+export async function getOverrides(channelIds) {
+  const stored = await chrome.storage.local.get(channelIds.map(overrideKey));
+  const overrides = {};
+  for (const channelId of channelIds) {
+    const entry = stored[overrideKey(channelId)];
+    if (entry) overrides[channelId] = entry;
+  }
+  return overrides;
+}
+
+/**
+ * Returns every stored override as a map: channelId → override entry.
+ */
+export async function listOverrides() {
+  const all = await chrome.storage.local.get(null);
+  const overrides = {};
+  for (const [key, value] of Object.entries(all)) {
+    if (key.startsWith(OVERRIDE_PREFIX)) {
+      overrides[key.slice(OVERRIDE_PREFIX.length)] = value;
+    }
+  }
+  return overrides;
+}
+
+/**
+ * Keeps the known override fields with valid values, e.g. from an imported
+ * settings file.
+ * @param {object} entry
+ * @returns {object|null}  null when nothing valid is left
+ */
+function normalizeOverride(entry) {
+  const clean = {};
+  if (typeof entry?.whitelisted === "boolean") clean.whitelisted = entry.whitelisted;
+  if (Number.isFinite(entry?.snoozedUntil)) clean.snoozedUntil = entry.snoozedUntil;
+  if (Number.isInteger(entry?.thresholdDays) && entry.thresholdDays > 0) {
+    clean.thresholdDays = entry.thresholdDays;
+  }
+  if (typeof entry?.note === "string" && entry.note.trim()) clean.note = entry.note.trim();
+  if (Array.isArray(entry?.tags)) {
+    const tags = entry.tags
+      .filter((t) => typeof t === "string")
+      .map((t) => t.trim().toLowerCase().slice(0, MAX_TAG_LENGTH))
+      .filter(Boolean);
+    if (tags.length > 0) clean.tags = [...new Set(tags)].slice(0, MAX_TAGS);
+  }
+  return Object.keys(clean).length > 0 ? clean : null;
+}
+
+/**
+ * Stores imported override entries, replacing what the same channels had.
+ * Invalid fields are dropped (see normalizeOverride).
+ * @param {object} overrides  channelId → override entry
+ * @returns {Promise<number>}  entries stored
+ */
+export async function importOverrides(overrides) {
+  const toSet = {};
+  for (const [channelId, entry] of Object.entries(overrides)) {
+    const clean = normalizeOverride(entry);
+    if (clean) toSet[overrideKey(channelId)] = clean;
+  }
+  await chrome.storage.local.set(toSet);
+  return Object.keys(toSet).length;
+}
+
+/**
+ * Merges `patch` into the override entry of every given channel.
+ * Keys set to null are removed; entries left empty are deleted.
+ *
+ * @param {string[]} channelIds
+ * @param {object}   patch
+ * @returns {Promise<object>}  channelId → updated entry (or null if deleted)
+ */
+export async function updateOverrides(channelIds, patch) {
+  const current = await getOverrides(channelIds);
+  const toSet = {};
+  const toRemove = [];
+  const updated = {};
+
+  for (const channelId of channelIds) {
+    const entry = { ...current[channelId], ...patch };
+    for (const [k, v] of Object.entries(entry)) {
+      if (v == null) delete entry[k];
+    }
+
+    if (Object.keys(entry).length > 0) {
+      toSet[overrideKey(channelId)] = entry;
+      updated[channelId] = entry;
+    } else {
+      toRemove.push(overrideKey(channelId));
+      updated[channelId] = null;
+    }
+  }
+
+  await chrome.storage.local.set(toSet);
+  if (toRemove.length > 0) await chrome.storage.local.remove(toRemove);
+  return updated;
+}
+
+/**
+ * Copies override fields onto the matching entries of a
+ * fetchLastUploadDates() result map (in place).
+ *
+ * A custom threshold replaces `thresholdDays`, so every comparison against
+ * it honours the override; the global value is kept in
+ * `defaultThresholdDays`. The activity tier is worked out afterwards, so it
+ * scales with the custom threshold. Safe to apply more than once.
+ *
+ * @param {object}   result     channelId → info
+ * @param {object}   overrides  channelId → override entry
+ * @param {object[]} tiers      settings.tiers
+ */
+export function applyOverrides(result, overrides, tiers) {
+  for (const [channelId, info] of Object.entries(result)) {
+    const o = overrides[channelId];
+    info.whitelisted = o?.whitelisted ?? false;
+    info.snoozedUntil = o?.snoozedUntil ?? null;
+    info.note = o?.note ?? null;
+    info.tags = o?.tags ?? [];
+    info.defaultThresholdDays ??= info.thresholdDays;
+    info.customThresholdDays = o?.thresholdDays ?? null;
+    info.thresholdDays = info.customThresholdDays ?? info.defaultThresholdDays;
+    info.tier = tierFor(info, tiers);
+  }
+  return result;
+}
+
+/**
+ * Whether a channel should be flagged as inactive: in a flagged tier (or
+ * gone quiet for its own cadence) and neither whitelisted nor snoozed.
+ * Mirrors ytscIsFlagged() in src/content/render.js.
+ */
+export function isFlagged(info) {
+  if (info.daysAgo == null) return false;
+  if (!info.tier?.flag && !info.goingQuiet) return false;
+  if (info.whitelisted) return false;
+  return !(info.snoozedUntil && info.snoozedUntil > Date.now());
+}
@@ -0,0 +1,224 @@
+/**
+ * Quota ledger: units spent per YouTube quota day, by endpoint.
+ *
+ * The Data API quota resets at midnight Pacific time, so days are keyed by
+ * the Pacific-time calendar date ("YYYY-MM-DD"), not the local one. Every
+ * list call this extension makes costs 1 unit, whether it succeeds or not.
+ *
+ * Stored in chrome.storage.local under `quotaLedger`:
+ *   { "2024-05-01": { total: 312, byEndpoint: { channels: 8, playlistItems: 304 },
+ *                     byKey: { "key-1": 300, "key-2": 12 }, exhaustedKeys: ["key-1"] } }
+ * byKey and exhaustedKeys are per entry of settings.apiKeys: each key is its
+ * own Google Cloud project with its own quota, so the daily budget applies
+ * to each key separately. Only the last few days are kept.
+ */
+
+// Days of history kept in the ledger
+const LEDGER_DAYS = 7;
+
+// Every endpoint this extension calls is a 1-unit list call
+const UNIT_COST = 1;
+
+const pacificDate = new Intl.DateTimeFormat("en-CA", {
+  timeZone: "America/Los_Angeles",
+  year: "numeric",
+  month: "2-digit",
+  day: "2-digit",
+});
+
+const pacificOffset = new Intl.DateTimeFormat("en-US", {
+  timeZone: "America/Los_Angeles",
+  timeZoneName: "shortOffset",
+});
+
+/** The quota day a timestamp falls in, as "YYYY-MM-DD" (Pacific time). */
+export function quotaDay(time = Date.now()) {
+  return pacificDate.format(time);
+}
+
+/** Timestamp of the next quota reset (midnight Pacific time) after `time`. */
+export function nextQuotaReset(time = Date.now()) {
+  const [y, m, d] = quotaDay(time).split("-").map(Number);
+  const midnightUtc = Date.UTC(y, m - 1, d + 1);
+  // "GMT-7" / "GMT-8", read a few hours later so it's on the Pacific side
+  const offset = pacificOffset
+    .formatToParts(midnightUtc + 8 * 60 * 60 * 1000)
+    .find((p) => p.type === "timeZoneName").value;
+  const offsetHours = Number(offset.replace("GMT", "")) || 0;
+  return midnightUtc - offsetHours * 60 * 60 * 1000;
+}
+
+// Parallel requests each record a unit; chaining the read-modify-writes
+// keeps them from overwriting one another.
+let pending = Promise.resolve();
+
+// Ledger writes that failed this quota day: the units they were to record
+// went uncounted, which getQuotaUsage() owns up to
+let lostWrites = { day: null, count: 0, error: null };
+
+// Read-modify-write of today's ledger entry, chained behind the others.
+// Never rejects: a lost write only undercounts, so it is noted in
+// lostWrites and the next one goes ahead.
+function updateToday(change) {
+  const write = pending.then(async () => {
+    const day = quotaDay();
+    const { quotaLedger = {} } = await chrome.storage.local.get("quotaLedger");
+    const entry = quotaLedger[day] ?? { total: 0, byEndpoint: {} };
+    change(entry);
+    quotaLedger[day] = entry;
+
+    for (const old of Object.keys(quotaLedger).sort().slice(0, -LEDGER_DAYS)) {
+      delete quotaLedger[old];
+    }
+    await chrome.storage.local.set({ quotaLedger });
+  });
+  pending = write.catch((e) => {
+    const day = quotaDay();
+    if (lostWrites.day !== day) lostWrites = { day, count: 0, error: null };
+    lostWrites.count++;
+    lostWrites.error = e.message;
+  });
+  return pending;
+}
+
+// Today's exhausted keys, kept in memory: every API-key request checks them,
+// and reading the ledger would queue behind all the unit writes ahead of it.
+// Loaded from the ledger once per quota day; markKeyExhausted adds to it
+// straight away.
+let exhausted = { day: null, keys: new Set(), loaded: null };
+
+function exhaustedToday() {
+  const day = quotaDay();
+  if (exhausted.day !== day) exhausted = { day, keys: new Set(), loaded: null };
+  return exhausted;
+}
+
+/**
+ * Adds units spent on an endpoint to today's ledger entry.
+ * @param {string} endpoint – e.g. "playlistItems"
+ * @param {number} units
+ * @param {string} [keyId]  – the API key the call went out with
+ */
+export function recordUnits(endpoint, units = UNIT_COST, keyId = null) {
+  return updateToday((entry) => {
+    entry.total += units;
+    entry.byEndpoint[endpoint] = (entry.byEndpoint[endpoint] ?? 0) + units;
+    if (keyId) {
+      entry.byKey ??= {};
+      entry.byKey[keyId] = (entry.byKey[keyId] ?? 0) + units;
+    }
+  });
+}
+
+/**
+ * Notes that Google refused an API key for quota today, so the rest of the
+ * quota day goes to the other keys.
+ * @param {string} keyId
+ */
+export function markKeyExhausted(keyId) {
+  exhaustedToday().keys.add(keyId);
+  return updateToday((entry) => {
+    entry.exhaustedKeys ??= [];
+    if (!entry.exhaustedKeys.includes(keyId)) entry.exhaustedKeys.push(keyId);
+  });
+}
+
+/**
+ * IDs of the API keys Google refused for quota today.
+ * @returns {Promise<Set<string>>}
+ */
+export async function exhaustedKeys() {
+  const today = exhaustedToday();
+  today.loaded ??= (async () => {
+    await pending;
+    const { quotaLedger = {} } = await chrome.storage.local.get("quotaLedger");
+    for (const id of quotaLedger[today.day]?.exhaustedKeys ?? []) today.keys.add(id);
+  })().catch((e) => {
+    today.loaded = null; // try the ledger again next time
+    throw e;
+  });
+  await today.loaded;
+  return new Set(today.keys);
+}
+
+/**
+ * Today's usage against the configured budget. With API keys, the budget
+ * applies to each key: what's left is the sum over the keys Google hasn't
+ * refused yet, and `keys` lists them one by one. `lostWrites` counts the
+ * ledger writes that failed today (with the last error), so `used` may be
+ * short by that many calls.
+ *
+ * @param {object} settings
+ * @returns {Promise<{ day, used, budget, remaining, byEndpoint,
+ *                     keys: Array<{ id, label, used, remaining, exhausted }>,
+ *                     lostWrites: { count, error } | null }>}
+ */
+export async function getQuotaUsage(settings) {
+  await pending;
+  const day = quotaDay();
+  const { quotaLedger = {} } = await chrome.storage.local.get("quotaLedger");
+  const entry = quotaLedger[day] ?? { total: 0, byEndpoint: {} };
+  const perKey = settings.dailyQuotaBudget;
+  const apiKeys = settings.authMode === "oauth" ? [] : settings.apiKeys ?? [];
+  const lost =
+    lostWrites.day === day ? { count: lostWrites.count, error: lostWrites.error } : null;
+
+  if (apiKeys.length === 0) {
+    return {
+      day,
+      used: entry.total,
+      budget: perKey,
+      remaining: Math.max(0, perKey - entry.total),
+      byEndpoint: entry.byEndpoint,
+      keys: [],
+      lostWrites: lost,
+    };
+  }
+
+  const keys = apiKeys.map(({ id, label }) => {
+    // A lone key gets everything, including units recorded before keys had IDs
+    const used = apiKeys.length === 1 ? entry.total : entry.byKey?.[id] ?? 0;
+    const exhausted = entry.exhaustedKeys?.includes(id) ?? false;
+    return { id, label, used, exhausted, remaining: exhausted ? 0 : Math.max(0, perKey - used) };
+  });
+  return {
+    day,
+    used: entry.total,
+    budget: perKey * keys.length,
+    remaining: keys.reduce((sum, k) => sum + k.remaining, 0),
+    byEndpoint: entry.byEndpoint,
+    keys,
+    lostWrites: lost,
+  };
+}
+
+/**
+ * Units a scan will cost: one playlistItems call per channel fetched (two
+ * with upload classification, which adds a videos.list call), plus one
+ * channels.list call per 50 channels without a cached uploads playlist.
+ */
+export function scanCost(fetchCount, needPlaylistIdCount, classifyUploads = false) {
+  const perChannel = classifyUploads ? 2 : 1;
+  return (fetchCount * perChannel + Math.ceil(needPlaylistIdCount / 50)) * UNIT_COST;
+}
+
+/**
+ * Picks the longest prefix of the channels to fetch that fits in `remaining`
+ * units. Order is kept, so channels higher up the page win.
+ *
+ * @param {Array<{ channelId: string, needsPlaylistId: boolean }>} toFetch
+ * @param {number} remaining
+ * @param {boolean} classifyUploads
+ * @returns {string[]} channel IDs to keep
+ */
+export function trimToBudget(toFetch, remaining, classifyUploads = false) {
+  const keep = [];
+  let needPlaylistId = 0;
+  for (const c of toFetch) {
+    const need = needPlaylistId + (c.needsPlaylistId ? 1 : 0);
+    if (scanCost(keep.length + 1, need, classifyUploads) > remaining) break;
+    keep.push(c.channelId);
+    needPlaylistId = need;
+  }
+  return keep;
+}
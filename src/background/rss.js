@@ -0,0 +1,85 @@
+/**
+ * Channel upload feeds: the public Atom feed YouTube serves for every
+ * channel at youtube.com/feeds/videos.xml?channel_id=…, covered by the
+ * youtube.com host permission. Reading it costs no Data API units, but it
+ * only lists the 15 newest uploads and says nothing about their kind.
+ *
+ * Service workers have no DOMParser, so the few fields needed are picked
+ * out of the XML with regular expressions.
+ */
+
+import { sleep } from "./limiter.js";
+
+const FEED_URL = "https://www.youtube.com/feeds/videos.xml";
+
+// Retries for rate limiting (429) and server errors (5xx)
+const MAX_RETRIES = 2;
+
+const ENTITIES = { amp: "&", lt: "<", gt: ">", quot: '"', apos: "'" };
+
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, name) => {
+    if (name[0] !== "#") return ENTITIES[name] ?? match;
+    const code = name[1] === "x" ? parseInt(name.slice(2), 16) : Number(name.slice(1));
+    return String.fromCodePoint(code);
+  });
+}
+
+// Text of the first <tag>…</tag> in `xml`, or null
+function tagText(xml, tag) {
+  const match = xml.match(new RegExp(`<${tag}(?:\\s[^>]*)?>([\\s\\S]*?)</${tag}>`));
+  return match ? decodeEntities(match[1].trim()) : null;
+}
+
+// Same form as the Data API's dates ("2024-05-01T15:00:06Z"), so results
+// from both sources compare and sort as strings
+function isoDate(text) {
+  const ms = Date.parse(text ?? "");
+  return Number.isNaN(ms) ? null : new Date(ms).toISOString().replace(/\.\d{3}Z$/, "Z");
+}
+
+/**
+ * Reads a channel feed.
+ * @param {string} xml
+ * @returns {{ title: string|null, uploads: Array<{ videoId: string|null, publishedAt: string }> }}
+ *   uploads in feed order (newest first)
+ */
+export function parseChannelFeed(xml) {
+  if (!/<feed[\s>]/.test(xml)) throw new Error("Not a channel feed");
+  const [head, ...entries] = xml.split(/<entry[\s>]/);
+  return {
+    title: tagText(head, "title"),
+    uploads: entries
+      .map((entry) => ({
+        videoId: tagText(entry, "yt:videoId"),
+        publishedAt: isoDate(tagText(entry, "published")),
+      }))
+      .filter((upload) => upload.publishedAt),
+  };
+}
+
+/**
+ * Fetches and reads one channel's feed. HTTP errors are thrown with
+ * `status`; a 404 usually means the channel is gone, but YouTube serves
+ * those now and then for channels that exist, too. Rejects with the abort
+ * reason once `signal` aborts.
+ * @param {string}      channelId
+ * @param {AbortSignal} [signal]
+ */
+export async function fetchChannelFeed(channelId, signal) {
+  const url = `${FEED_URL}?channel_id=${encodeURIComponent(channelId)}`;
+  let delay = 1000;
+  for (let attempt = 0; ; attempt++) {
+    const r = await fetch(url, { signal });
+    if (r.ok) return parseChannelFeed(await r.text());
+
+    if ((r.status === 429 || r.status >= 500) && attempt < MAX_RETRIES) {
+      await sleep(delay, signal);
+      delay *= 2;
+      continue;
+    }
+    const err = new Error(`Feed HTTP_${r.status}`);
+    err.status = r.status;
+    throw err;
+  }
+}
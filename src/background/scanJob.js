@@ -0,0 +1,112 @@
+/**
+ * Resumable scan job: channels a scan couldn't check because the quota (or
+ * the daily budget) ran out are queued here and re-scanned by the service
+ * worker after the next quota reset, via a chrome.alarms alarm.
+ *
+ * Stored in chrome.storage.local under `scanJob`:
+ *   {
+ *     createdAt, total, checked,
+ *     pending: [channelId, …],   // still to check, in page order
+ *     meta: { channelId → { title?, handle?, avatarUrl? } },
+ *     resumeAt, lastError?
+ *   }
+ * There is at most one job; leftovers of later scans are merged into it.
+ * Partial results need no storing here – successful fetches are cached.
+ */
+
+import { nextQuotaReset } from "./quota.js";
+
+export const RESUME_ALARM = "ytsc-resume-scan";
+
+// Give the reset a few minutes' slack before resuming
+const RESUME_DELAY_MS = 5 * 60 * 1000;
+
+// After a resume that couldn't run at all (e.g. signed out), try again in
+const RETRY_DELAY_MS = 60 * 60 * 1000;
+
+/** Result statuses that mean "not checked yet, try again later". */
+export function isLeftover(info) {
+  return info?.status === "quota_exceeded" || info?.status === "over_budget";
+}
+
+/** @returns {Promise<object|null>} */
+export async function getScanJob() {
+  const { scanJob = null } = await chrome.storage.local.get("scanJob");
+  return scanJob;
+}
+
+async function scheduleResume(job, when) {
+  job.resumeAt = when;
+  await chrome.storage.local.set({ scanJob: job });
+  await chrome.alarms.create(RESUME_ALARM, { when });
+}
+
+/**
+ * Folds a scan's results into the job: checked channels leave the queue,
+ * leftover ones join it. Creates the job on the first leftover and removes
+ * it once nothing is pending.
+ *
+ * @param {object} result  – channelId → result, as returned by a scan
+ * @param {object} meta    – channelId → page metadata, kept for the resume
+ * @returns {Promise<object|null>} the job after the update
+ */
+export async function updateScanJob(result, meta = {}) {
+  const ids = Object.keys(result);
+  const leftover = ids.filter((id) => isLeftover(result[id]));
+
+  let job = await getScanJob();
+  if (!job) {
+    if (leftover.length === 0) return null;
+    job = {
+      createdAt: Date.now(),
+      total: ids.length,
+      checked: ids.length - leftover.length,
+      pending: [],
+      meta: {},
+    };
+  } else {
+    const pending = new Set(job.pending);
+    for (const id of ids) {
+      if (!isLeftover(result[id]) && pending.has(id)) {
+        pending.delete(id);
+        delete job.meta[id];
+        job.checked++;
+      }
+    }
+    job.pending = [...pending];
+  }
+
+  const pending = new Set(job.pending);
+  for (const id of leftover) {
+    if (pending.has(id)) continue;
+    job.pending.push(id);
+    if (meta[id]) job.meta[id] = meta[id];
+  }
+  job.total = Math.max(job.total, job.checked + job.pending.length);
+
+  if (job.pending.length === 0) {
+    await clearScanJob();
+    return null;
+  }
+
+  delete job.lastError;
+  await scheduleResume(job, nextQuotaReset() + RESUME_DELAY_MS);
+  return job;
+}
+
+/**
+ * Records why a resume couldn't run and tries again later.
+ * @param {string} error
+ */
+export async function postponeScanJob(error) {
+  const job = await getScanJob();
+  if (!job) return;
+  job.lastError = error;
+  await scheduleResume(job, Date.now() + RETRY_DELAY_MS);
+}
+
+/** Drops the job and its alarm. */
+export async function clearScanJob() {
+  await chrome.storage.local.remove("scanJob");
+  await chrome.alarms.clear(RESUME_ALARM);
+}
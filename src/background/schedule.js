@@ -0,0 +1,137 @@
+/**
+ * Scheduled rescans: every known channel (everything in the cache, which
+ * holds each one's uploadsPlaylistId or is read from its feed) is
+ * re-checked on a chrome.alarms schedule with no tab open, and channels
+ * whose flagged state changed are reported as desktop notifications.
+ *
+ * The outcome of the last run is stored in chrome.storage.local under
+ * `scheduledRescan`: { time, total, died, revived, error? }.
+ */
+
+import { isFlagged } from "./overrides.js";
+
+export const RESCAN_ALARM = "ytsc-scheduled-rescan";
+
+// Notification IDs start with this, so clicks can be told apart
+export const NOTIFICATION_PREFIX = "ytsc-rescan-";
+
+const PERIOD_MINUTES = {
+  daily: 24 * 60,
+  weekly: 7 * 24 * 60,
+  monthly: 30 * 24 * 60,
+};
+
+// Channels named in one notification; the rest are summed up
+const LIST_MAX = 5;
+
+/**
+ * Creates, moves or clears the rescan alarm to match `rescanSchedule`.
+ * Leaves a matching alarm alone so restarts don't push the next run back.
+ * @param {object} settings
+ */
+export async function syncRescanAlarm(settings) {
+  const period = PERIOD_MINUTES[settings.rescanSchedule];
+  if (!period) {
+    await chrome.alarms.clear(RESCAN_ALARM);
+    return;
+  }
+  const existing = await chrome.alarms.get(RESCAN_ALARM);
+  if (existing?.periodInMinutes === period) return;
+  await chrome.alarms.create(RESCAN_ALARM, { delayInMinutes: period, periodInMinutes: period });
+}
+
+/** @returns {Promise<number|null>} when the next rescan runs (ms), if scheduled */
+export async function nextRescanAt() {
+  const alarm = await chrome.alarms.get(RESCAN_ALARM);
+  return alarm?.scheduledTime ?? null;
+}
+
+/**
+ * Channels whose state changed between two scans of the same channels:
+ * `died` were fine before and are flagged now, `revived` were flagged and
+ * have uploaded since.
+ *
+ * @param {object} before – channelId → earlier result (lastScanResults)
+ * @param {object} after  – channelId → new result, overrides applied
+ * @returns {{ died: object[], revived: object[] }} the new results
+ */
+export function flaggedChanges(before, after) {
+  const died = [];
+  const revived = [];
+  for (const [channelId, info] of Object.entries(after)) {
+    const prev = before[channelId];
+    if (prev?.status !== "ok" || info.status !== "ok") continue;
+    const wasFlagged = isFlagged(prev);
+    if (!wasFlagged && isFlagged(info)) {
+      died.push({ channelId, ...info });
+    } else if (wasFlagged && info.lastUploadAt > prev.lastUploadAt) {
+      revived.push({ channelId, ...info });
+    }
+  }
+  return { died, revived };
+}
+
+function channelName(info) {
+  return info.title || info.handle || info.channelId;
+}
+
+async function notify(id, title, channels, describe) {
+  const options = {
+    type: "basic",
+    iconUrl: chrome.runtime.getURL("assets/icon128.png"),
+    title,
+    message: "",
+  };
+  if (channels.length === 1) {
+    options.message = `${channelName(channels[0])} – ${describe(channels[0])}`;
+  } else {
+    options.type = "list";
+    options.message = `${channels.length} channels`;
+    options.items = channels.slice(0, LIST_MAX).map((info) => ({
+      title: channelName(info),
+      message: describe(info),
+    }));
+    if (channels.length > LIST_MAX) {
+      options.contextMessage = `and ${channels.length - LIST_MAX} more – click to open the dashboard`;
+    }
+  }
+  await chrome.notifications.create(`${NOTIFICATION_PREFIX}${id}`, options);
+}
+
+/**
+ * One notification for channels that went inactive and one for channels
+ * that came back, as enabled in settings.
+ * @param {{ died: object[], revived: object[] }} changes
+ * @param {object} settings
+ */
+export async function notifyChanges({ died, revived }, settings) {
+  if (settings.notifyInactive && died.length > 0) {
+    await notify(
+      "died",
+      died.length === 1 ? "A subscription went inactive" : "Subscriptions went inactive",
+      died,
+      (info) => `no upload for ${info.daysAgo} days`
+    );
+  }
+  if (settings.notifyRevived && revived.length > 0) {
+    await notify(
+      "revived",
+      revived.length === 1 ? "An inactive channel is back" : "Inactive channels are back",
+      revived,
+      (info) => `uploaded ${info.daysAgo === 0 ? "today" : `${info.daysAgo} days ago`}`
+    );
+  }
+}
+
+/**
+ * Tells the user a scheduled rescan couldn't run, e.g. signed out.
+ * @param {string} message
+ */
+export async function notifyRescanFailed(message) {
+  await chrome.notifications.create(`${NOTIFICATION_PREFIX}failed`, {
+    type: "basic",
+    iconUrl: chrome.runtime.getURL("assets/icon128.png"),
+    title: "Scheduled rescan didn't run",
+    message,
+  });
+}
@@ -3,70 +3,861 @@
  *
  * Handles messages from the content script and popup:
  *   SCAN_CHANNELS  – fetch last upload dates for a list of channel IDs
- *   TEST_API_KEY   – validate an API key
+ *   SCAN_SUBSCRIPTIONS – OAuth mode: scan every subscribed channel, no DOM needed
+ *   OAUTH_SIGN_IN / OAUTH_SIGN_OUT / OAUTH_STATUS – Google sign-in for OAuth mode
+ *   GET_QUOTA      – units spent today against the daily budget
+ *   GET_SCAN_JOB / RESUME_SCAN_JOB / CANCEL_SCAN_JOB
+ *                  – channels left over from quota-limited scans, resumed
+ *                    automatically after the quota resets
+ *   GET_RESCAN_SCHEDULE / RUN_RESCAN_NOW
+ *                  – scheduled background rescans of every cached channel
+ *   RESOLVE_HANDLES – resolve @handles to channel IDs
+ *   SET_OVERRIDES  – whitelist / snooze a set of channels, re-tiering the
+ *                    results the page shows for them
+ *   OPEN_TABS      – open a list of URLs in background tabs
+ *   TEST_API_KEY   – health-check one of the API keys
  *   GET_SETTINGS   – return current settings
+ *   EXPORT_SETTINGS / IMPORT_SETTINGS
+ *                  – settings and per-channel overrides as a JSON file
+ *   GET_CHANNELS   – every cached channel with its activity history, for
+ *                    the dashboard
+ *   EXPORT_RESULTS – build a CSV / JSON / OPML export of the scan results
  *   CLEAR_CACHE    – wipe per-channel cache entries
+ *   GET_CACHE_STATS – cached channels, how many are stale / without uploads
+ *   SAVE_SNAPSHOT / IMPORT_SNAPSHOT / LIST_SNAPSHOTS / DELETE_SNAPSHOT
+ *                  – subscription backups
+ *   OPEN_DASHBOARD – open the dashboard page
+ *   OPEN_SNAPSHOTS – open the snapshots page
+ *   LOG_UNSUBSCRIBE – append an assisted-unsubscribe outcome to the audit log
+ *   CLEAR_UNSUBSCRIBE_LOG – wipe the audit log
  *   OPEN_OPTIONS   – open the options page
+ *
+ * and connections on the "ytsc-scan" port (see SCAN_PORT): SCAN_CHANNELS
+ * with every result pushed as soon as it is known, progress of any running
+ * scan for the popup, and cancelling scans.
+ */
+
+import {
+  loadSettings,
+  saveSettings,
+  pullSyncedSettings,
+  buildSettingsFile,
+  parseSettingsFile,
+} from "../shared/settings.js";
+import {
+  missingCredentials,
+  scanUsesApi,
+  fetchLastUploadDates,
+  fetchSubscribedChannels,
+  estimateScanCost,
+  listCachedResults,
+  resolveHandles,
+  testApiKey,
+} from "./youtubeApi.js";
+import {
+  getOverrides,
+  listOverrides,
+  importOverrides,
+  updateOverrides,
+  applyOverrides,
+  isFlagged,
+} from "./overrides.js";
+import { getAccessToken, isSignedIn, clearAccessToken } from "./auth.js";
+import { getQuotaUsage, trimToBudget } from "./quota.js";
+import {
+  RESUME_ALARM,
+  getScanJob,
+  updateScanJob,
+  postponeScanJob,
+  clearScanJob,
+} from "./scanJob.js";
+import { clearCache, listCacheEntries, countCacheEntries, markSeen } from "./cache.js";
+import { countByTier } from "../shared/tiers.js";
+import {
+  recordHistory,
+  getHistories,
+  listHistories,
+  historySummary,
+  countEventsSince,
+} from "./history.js";
+import {
+  RESCAN_ALARM,
+  NOTIFICATION_PREFIX,
+  syncRescanAlarm,
+  nextRescanAt,
+  flaggedChanges,
+  notifyChanges,
+  notifyRescanFailed,
+} from "./schedule.js";
+import { buildExport, EXPORT_FILTERS } from "./exporters.js";
+import {
+  createSnapshot,
+  parseSnapshot,
+  listSnapshots,
+  saveSnapshot,
+  deleteSnapshot,
+} from "./snapshots.js";
+
+// Oldest audit log entries are dropped beyond this
+const UNSUBSCRIBE_LOG_MAX = 1000;
+
+const SCAN_PORT = "ytsc-scan";
+
+// Every connected scan port: pages streaming a scan and popups watching
+const scanPorts = new Set();
+
+// Scans running right now: AbortController → progress, oldest first. The
+// progress is for popups opened mid-scan, the controller for cancelling.
+const runningScans = new Map();
+
+// The other end may have gone away (tab closed, popup dismissed) at any time
+function postToPort(port, message) {
+  try {
+    port.postMessage(message);
+  } catch {
+    scanPorts.delete(port);
+  }
+}
+
+function broadcastProgress(progress) {
+  for (const port of scanPorts) postToPort(port, { type: "PROGRESS", ...progress });
+}
+
+/** Cancels every running scan; each keeps the results it already has. */
+function cancelScans() {
+  for (const controller of runningScans.keys()) controller.abort();
+}
+
+/**
+ * Returns an error code if the current auth mode can't make requests
+ * (MISSING_API_KEY / AUTH_REQUIRED), or null. In OAuth mode this also makes
+ * sure a token can be had without prompting.
  */
+async function credentialsError(settings) {
+  const missing = missingCredentials(settings);
+  if (missing) return missing;
+  if (settings.authMode === "oauth") {
+    try {
+      await getAccessToken(settings);
+    } catch {
+      return "AUTH_REQUIRED";
+    }
+  }
+  return null;
+}
+
+/** credentialsError() for scans, which need none when only reading feeds. */
+async function scanCredentialsError(settings) {
+  return scanUsesApi(settings) ? credentialsError(settings) : null;
+}
+
+/**
+ * Runs fetchLastUploadDates, applies overrides and persists the scan
+ * summary for the popup plus the raw results (including errors, which the
+ * cache doesn't keep) for exports.
+ *
+ * Checks the estimated cost against what's left of the daily budget first.
+ * Depending on `quotaPolicy`, a scan that doesn't fit either throws
+ * QUOTA_BUDGET_EXCEEDED (with e.estimate / e.remaining) or is trimmed, the
+ * channels left out coming back as status "over_budget". Those, and any that
+ * hit the real quota, are queued in the scan job for after the reset.
+ *
+ * Resumed jobs always trim, and leave the popup's scan summary alone since
+ * they only cover the leftovers. Scheduled rescans leave it alone too: it
+ * describes the user's own last scan, and they record theirs elsewhere.
+ *
+ * Every result goes to `onResult` as soon as it is known, overrides applied,
+ * and progress is broadcast on the scan ports.
+ *
+ * Aborting `controller` (see cancelScans) stops the scan early. The channels
+ * checked by then are stored and returned like a full scan's; the rest are
+ * left out, and the summary is marked `cancelled`.
+ */
+async function runScan(
+  channelIds,
+  settings,
+  bypassCache,
+  meta,
+  { resumed = false, scheduled = false, onResult = null, controller = new AbortController() } = {}
+) {
+  const overrides = await getOverrides(channelIds);
+  const quota = await getQuotaUsage(settings);
+  const estimate = await estimateScanCost(channelIds, settings, bypassCache);
+
+  let skipped = [];
+  if (estimate.units > quota.remaining) {
+    if (settings.quotaPolicy === "refuse" && !resumed) {
+      const err = new Error("QUOTA_BUDGET_EXCEEDED");
+      err.estimate = estimate.units;
+      err.remaining = quota.remaining;
+      throw err;
+    }
+    const keep = new Set(
+      trimToBudget(estimate.toFetch, quota.remaining, settings.classifyUploads)
+    );
+    skipped = estimate.toFetch
+      .map((c) => c.channelId)
+      .filter((id) => !keep.has(id));
+    const skippedSet = new Set(skipped);
+    channelIds = channelIds.filter((id) => !skippedSet.has(id));
+  }
+
+  const progress = {
+    done: 0,
+    total: new Set(channelIds).size + skipped.length,
+    scanning: true,
+    cancelled: false,
+  };
+  runningScans.set(controller, progress);
+  broadcastProgress(progress);
+  const report = (channelId, info) => {
+    applyOverrides({ [channelId]: info }, overrides, settings.tiers);
+    progress.done++;
+    onResult?.(channelId, info);
+    broadcastProgress(progress);
+  };
+
+  let result;
+  try {
+    result = await fetchLastUploadDates(channelIds, settings, bypassCache, meta, {
+      onResult: report,
+      signal: controller.signal,
+    });
+    for (const channelId of skipped) {
+      result[channelId] = { status: "over_budget", thresholdDays: settings.thresholdDays };
+      report(channelId, result[channelId]);
+    }
+  } finally {
+    progress.scanning = false;
+    progress.cancelled = controller.signal.aborted;
+    runningScans.delete(controller);
+    broadcastProgress(progress);
+  }
+  applyOverrides(result, overrides, settings.tiers);
+  await recordHistory(result);
+
+  const total = Object.keys(result).length;
+  const inactive = Object.values(result).filter(isFlagged).length;
+  const tiers = countByTier(Object.values(result), settings.tiers);
+  const { lastScanResults = {} } =
+    await chrome.storage.local.get("lastScanResults");
+  const update = { lastScanResults: { ...lastScanResults, ...result } };
+  if (!resumed && !scheduled) {
+    update.lastScanSummary = {
+      time: Date.now(),
+      total,
+      inactive,
+      tiers,
+      skipped: skipped.length,
+      cancelled: controller.signal.aborted,
+    };
+  }
+  await chrome.storage.local.set(update);
+  await updateScanJob(result, meta);
+
+  return result;
+}
+
+/**
+ * Records a subscriptions-page visit (or OAuth scan) listing these channels,
+ * see markSeen(). Once that evicts cache entries, lastScanResults is cut
+ * down to the channels still cached or listed: it would otherwise keep every
+ * channel ever scanned, unsubscribed ones included, for exports, the
+ * dashboard and the rescan notifications.
+ */
+async function markSubscribed(channelIds, visit, complete, settings) {
+  const evicted = await markSeen(channelIds, visit, settings.evictAfterScans, complete);
+  if (evicted === 0) return;
+
+  const { lastScanResults } = await chrome.storage.local.get("lastScanResults");
+  if (!lastScanResults) return;
+  const keep = new Set([...Object.keys(await listCacheEntries()), ...channelIds]);
+  const pruned = Object.fromEntries(
+    Object.entries(lastScanResults).filter(([channelId]) => keep.has(channelId))
+  );
+  await chrome.storage.local.set({ lastScanResults: pruned });
+}
+
+/**
+ * fetchSubscribedChannels(), cancellable like a scan: `controller` sits in
+ * runningScans while the pages come in, so cancelScans() reaches it before
+ * runScan() takes it over. Progress says `listing` meanwhile.
+ * @returns {Promise<Array|null>} the channels, or null once cancelled
+ */
+async function listSubscriptions(settings, controller) {
+  const progress = { done: 0, total: 0, scanning: true, cancelled: false, listing: true };
+  runningScans.set(controller, progress);
+  broadcastProgress(progress);
+  try {
+    return await fetchSubscribedChannels(settings, controller.signal);
+  } catch (e) {
+    progress.scanning = false;
+    progress.cancelled = controller.signal.aborted;
+    broadcastProgress(progress);
+    if (progress.cancelled) return null;
+    throw e;
+  } finally {
+    runningScans.delete(controller);
+  }
+}
+
+/**
+ * Adds each channel's activity history (see history.js) to a result map, in
+ * place, as `history`. Done after runScan() has stored the results, so
+ * lastScanResults stays free of it.
+ * @param {object} rows – channelId → info
+ */
+async function attachHistory(rows) {
+  const histories = await getHistories(Object.keys(rows));
+  for (const [channelId, row] of Object.entries(rows)) {
+    row.history = historySummary(histories[channelId]);
+  }
+}
+
+/**
+ * Scans whatever the scan job still has pending. Runs from the resume alarm
+ * or on request, with no tab involved.
+ */
+async function resumeScanJob() {
+  const job = await getScanJob();
+  if (!job) return;
+
+  const settings = await loadSettings();
+  const credError = await scanCredentialsError(settings);
+  if (credError) {
+    await postponeScanJob(credError);
+    return;
+  }
+  try {
+    await runScan(job.pending, settings, false, job.meta, { resumed: true });
+  } catch (e) {
+    await postponeScanJob(e.message);
+  }
+}
+
+/**
+ * Re-checks every cached channel – from the rescan alarm or on request,
+ * with no tab involved – and notifies about channels that went inactive or
+ * came back since they were last scanned. Records the outcome under
+ * `scheduledRescan`. A run cancelled from the popup notifies nobody: it
+ * only records how many channels it got to.
+ */
+async function runScheduledRescan() {
+  const settings = await loadSettings();
+  const record = (outcome) =>
+    chrome.storage.local.set({ scheduledRescan: { time: Date.now(), ...outcome } });
+
+  const credError = await scanCredentialsError(settings);
+  if (credError) {
+    await record({ error: credError });
+    await notifyRescanFailed(
+      credError === "AUTH_REQUIRED"
+        ? "Sign in with Google again in Options."
+        : "Add a YouTube Data API key in Options, or read channel feeds instead."
+    );
+    return;
+  }
+
+  const channelIds = Object.keys(await listCacheEntries());
+  if (channelIds.length === 0) {
+    await record({ total: 0, died: 0, revived: 0 });
+    return;
+  }
+  const { lastScanResults = {} } = await chrome.storage.local.get("lastScanResults");
+  const controller = new AbortController();
+  let result;
+  try {
+    result = await runScan(channelIds, settings, false, {}, { scheduled: true, controller });
+  } catch (e) {
+    await record({ error: e.message });
+    await notifyRescanFailed(
+      e.message === "QUOTA_BUDGET_EXCEEDED"
+        ? `It needs about ${e.estimate} API units, but only ${e.remaining} are left in today's budget.`
+        : e.message
+    );
+    return;
+  }
 
-import { getSettings, fetchLastUploadDates, testApiKey } from "./youtubeApi.js";
+  if (controller.signal.aborted) {
+    await record({
+      total: channelIds.length,
+      checked: Object.keys(result).length,
+      cancelled: true,
+    });
+    return;
+  }
+
+  const changes = flaggedChanges(lastScanResults, result);
+  await notifyChanges(changes, settings);
+  await record({
+    total: channelIds.length,
+    died: changes.died.length,
+    revived: changes.revived.length,
+  });
+}
+
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name === RESUME_ALARM) resumeScanJob();
+  if (alarm.name === RESCAN_ALARM) runScheduledRescan();
+});
+
+// Keep the rescan alarm in line with the setting – on every service worker
+// start and whenever Options saves a new schedule
+loadSettings().then(syncRescanAlarm);
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area === "local" && changes.rescanSchedule) loadSettings().then(syncRescanAlarm);
+});
+
+// Settings synced from other devices (only applied with syncSettings on);
+// also picks up whatever changed while this browser was closed
+pullSyncedSettings();
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area === "sync" && changes.settings) pullSyncedSettings();
+});
+
+chrome.notifications.onClicked.addListener((id) => {
+  if (!id.startsWith(NOTIFICATION_PREFIX)) return;
+  chrome.notifications.clear(id);
+  chrome.tabs.create({ url: chrome.runtime.getURL("src/dashboard/dashboard.html") });
+});
+
+// Keyboard shortcuts from manifest "commands": the channels tab carries them
+// out, like the in-page keys in src/content/keyboard.js
+chrome.commands.onCommand.addListener(async (command, tab) => {
+  tab ??= (await chrome.tabs.query({ active: true, currentWindow: true }))[0];
+  if (!tab?.url?.startsWith("https://www.youtube.com/feed/channels")) return;
+  chrome.tabs
+    .sendMessage(tab.id, { type: "RUN_SHORTCUT", action: command })
+    .catch(() => {}); // content script not loaded yet
+});
+
+/**
+ * Every cached channel plus the error results of recent scans (errors are
+ * never cached), with overrides applied and a `flagged` field.
+ * Returns a map: channelId → row.
+ */
+async function loadResultRows(settings) {
+  const rows = await listCachedResults(settings);
+  const { lastScanResults = {} } =
+    await chrome.storage.local.get("lastScanResults");
+
+  for (const [channelId, info] of Object.entries(lastScanResults)) {
+    if (info.status === "api_error" || info.status === "quota_exceeded") {
+      rows[channelId] = { ...rows[channelId], channelId, ...info };
+    }
+  }
+
+  applyOverrides(rows, await getOverrides(Object.keys(rows)), settings.tiers);
+  for (const row of Object.values(rows)) row.flagged = isFlagged(row);
+  return rows;
+}
+
+/**
+ * SCAN_CHANNELS, over a message or a scan port.
+ * @param {{ channelIds, bypassCache?, meta?, visit?, complete? }} msg
+ * @param {{ onStart?: Function, onResult?: Function, controller?: AbortController }} [stream]
+ *   onStart(tiers) once the scan is under way, onResult(channelId, info)
+ *   per channel; controller cancels this scan alone
+ * @returns {Promise<object>} the response: { ok, result, tiers, cancelled } or
+ *   { ok: false, error, estimate?, remaining? }
+ */
+async function scanChannels(
+  msg,
+  { onStart, onResult, controller = new AbortController() } = {}
+) {
+  const settings = await loadSettings();
+  const credError = await scanCredentialsError(settings);
+  if (credError) return { ok: false, error: credError };
+  try {
+    // Page scans say which visit they belong to; re-checks don't
+    if (msg.visit) {
+      await markSubscribed(msg.channelIds, msg.visit, msg.complete === true, settings);
+    }
+    onStart?.(settings.tiers);
+    const result = await runScan(
+      msg.channelIds,
+      settings,
+      msg.bypassCache ?? false,
+      msg.meta ?? {},
+      { onResult, controller }
+    );
+    await attachHistory(result);
+    return { ok: true, result, tiers: settings.tiers, cancelled: controller.signal.aborted };
+  } catch (e) {
+    return { ok: false, error: e.message, estimate: e.estimate, remaining: e.remaining };
+  }
+}
+
+// ── Scan port ──────────────────────────────────────────────────────────────
+// chrome.runtime.connect({ name: "ytsc-scan" }), then one of:
+//   { type: "START", channelIds, bypassCache?, meta?, visit?, complete? }
+//       – run SCAN_CHANNELS; the port gets { type: "STARTED", tiers }, then
+//         { type: "RESULT", channelId, info } per channel as it comes in,
+//         then { type: "DONE", ...response } with the full SCAN_CHANNELS
+//         response (histories attached)
+//   { type: "WATCH" }
+//       – just follow progress (the popup)
+//   { type: "CANCEL" }
+//       – cancel the scan this port started, if any; DONE follows with what
+//         was checked so far
+//   { type: "CANCEL_ALL" }
+//       – cancel every running scan, whoever started it (the popup's Stop
+//         scan); each one's own response follows with what it checked
+// Every port gets { type: "PROGRESS", done, total, scanning, cancelled } for
+// whichever scan is running, including background ones; `listing` while an
+// OAuth scan is still paging through the subscription list.
+chrome.runtime.onConnect.addListener((port) => {
+  if (port.name !== SCAN_PORT) return;
+  scanPorts.add(port);
+  port.onDisconnect.addListener(() => scanPorts.delete(port));
+
+  let controller = null; // of the scan this port started
+  port.onMessage.addListener(async (msg) => {
+    if (msg?.type === "WATCH") {
+      const latest = [...runningScans.values()].at(-1);
+      if (latest) postToPort(port, { type: "PROGRESS", ...latest });
+    } else if (msg?.type === "CANCEL") {
+      controller?.abort();
+    } else if (msg?.type === "CANCEL_ALL") {
+      cancelScans();
+    } else if (msg?.type === "START") {
+      controller = new AbortController();
+      const response = await scanChannels(msg, {
+        onStart: (tiers) => postToPort(port, { type: "STARTED", tiers }),
+        onResult: (channelId, info) => postToPort(port, { type: "RESULT", channelId, info }),
+        controller,
+      });
+      controller = null;
+      postToPort(port, { type: "DONE", ...response });
+    }
+  });
+});
 
 chrome.runtime.onMessage.addListener((msg, _sender, sendResponse) => {
   (async () => {
     switch (msg?.type) {
       // ── SCAN_CHANNELS ──────────────────────────────────────────────────
       case "SCAN_CHANNELS": {
-        const settings = await getSettings();
-        if (!settings.apiKey) {
-          sendResponse({ ok: false, error: "MISSING_API_KEY" });
+        sendResponse(await scanChannels(msg));
+        break;
+      }
+
+      // ── SCAN_SUBSCRIPTIONS ─────────────────────────────────────────────
+      case "SCAN_SUBSCRIPTIONS": {
+        const settings = await loadSettings();
+        if (settings.authMode !== "oauth") {
+          sendResponse({ ok: false, error: "OAUTH_MODE_REQUIRED" });
+          return;
+        }
+        const credError = await credentialsError(settings);
+        if (credError) {
+          sendResponse({ ok: false, error: credError });
           return;
         }
+        const controller = new AbortController();
         try {
-          const result = await fetchLastUploadDates(
-            msg.channelIds,
+          const channels = await listSubscriptions(settings, controller);
+          if (!channels) {
+            sendResponse({ ok: true, result: {}, cancelled: true });
+            return;
+          }
+          // The complete list, so it counts as a visit of its own
+          await markSubscribed(
+            channels.map((c) => c.channelId),
+            `oauth-${Date.now()}`,
+            true,
+            settings
+          );
+          const meta = {};
+          for (const { channelId, title, avatarUrl } of channels) {
+            meta[channelId] = { title, avatarUrl };
+          }
+          const result = await runScan(
+            channels.map((c) => c.channelId),
             settings,
-            msg.bypassCache ?? false
+            msg.bypassCache ?? false,
+            meta,
+            { controller }
           );
-
-          // Persist a scan summary for the popup
-          const total = Object.keys(result).length;
-          const inactive = Object.values(result).filter(
-            (r) => r.daysAgo != null && r.daysAgo > r.thresholdDays
-          ).length;
-          await chrome.storage.local.set({
-            lastScanSummary: { time: Date.now(), total, inactive },
+          sendResponse({ ok: true, result, cancelled: controller.signal.aborted });
+        } catch (e) {
+          sendResponse({
+            ok: false,
+            error: e.isAuth ? "AUTH_REQUIRED" : e.message,
+            estimate: e.estimate,
+            remaining: e.remaining,
           });
+        }
+        break;
+      }
+
+      // ── GET_SCAN_JOB ───────────────────────────────────────────────────
+      case "GET_SCAN_JOB": {
+        const job = await getScanJob();
+        sendResponse({
+          ok: true,
+          job: job && {
+            total: job.total,
+            checked: job.checked,
+            pending: job.pending.length,
+            resumeAt: job.resumeAt,
+            lastError: job.lastError ?? null,
+          },
+        });
+        break;
+      }
+
+      // ── RESUME_SCAN_JOB ────────────────────────────────────────────────
+      case "RESUME_SCAN_JOB": {
+        await resumeScanJob();
+        const job = await getScanJob();
+        sendResponse({ ok: true, pending: job?.pending.length ?? 0 });
+        break;
+      }
+
+      // ── CANCEL_SCAN_JOB ────────────────────────────────────────────────
+      case "CANCEL_SCAN_JOB": {
+        await clearScanJob();
+        sendResponse({ ok: true });
+        break;
+      }
 
-          sendResponse({ ok: true, result });
+      // ── GET_RESCAN_SCHEDULE ────────────────────────────────────────────
+      case "GET_RESCAN_SCHEDULE": {
+        const { scheduledRescan = null } = await chrome.storage.local.get("scheduledRescan");
+        sendResponse({ ok: true, next: await nextRescanAt(), last: scheduledRescan });
+        break;
+      }
+
+      // ── RUN_RESCAN_NOW ─────────────────────────────────────────────────
+      case "RUN_RESCAN_NOW": {
+        await runScheduledRescan();
+        const { scheduledRescan } = await chrome.storage.local.get("scheduledRescan");
+        sendResponse({ ok: true, last: scheduledRescan });
+        break;
+      }
+
+      // ── GET_QUOTA ──────────────────────────────────────────────────────
+      case "GET_QUOTA": {
+        const settings = await loadSettings();
+        sendResponse({ ok: true, ...(await getQuotaUsage(settings)) });
+        break;
+      }
+
+      // ── OAUTH_SIGN_IN ──────────────────────────────────────────────────
+      case "OAUTH_SIGN_IN": {
+        const settings = await loadSettings();
+        try {
+          await getAccessToken(settings, { interactive: true });
+          sendResponse({ ok: true });
         } catch (e) {
-          sendResponse({ ok: false, error: e.message });
+          sendResponse({ ok: false, error: e.detail || e.message });
+        }
+        break;
+      }
+
+      // ── OAUTH_SIGN_OUT ─────────────────────────────────────────────────
+      case "OAUTH_SIGN_OUT": {
+        await clearAccessToken();
+        sendResponse({ ok: true });
+        break;
+      }
+
+      // ── OAUTH_STATUS ───────────────────────────────────────────────────
+      case "OAUTH_STATUS": {
+        sendResponse({ ok: true, signedIn: await isSignedIn() });
+        break;
+      }
+
+      // ── RESOLVE_HANDLES ────────────────────────────────────────────────
+      case "RESOLVE_HANDLES": {
+        const settings = await loadSettings();
+        const credError = await credentialsError(settings);
+        if (credError) {
+          sendResponse({ ok: false, error: credError });
+          return;
         }
+        const resolved = await resolveHandles(msg.handles, settings);
+        sendResponse({ ok: true, resolved });
+        break;
+      }
+
+      // ── SET_OVERRIDES ──────────────────────────────────────────────────
+      case "SET_OVERRIDES": {
+        const overrides = await updateOverrides(msg.channelIds, msg.patch);
+        // The page's results for these channels, with the new overrides
+        // (and the tier they imply) applied
+        const results = msg.results ?? {};
+        if (Object.keys(results).length > 0) {
+          const { tiers } = await loadSettings();
+          applyOverrides(results, overrides, tiers);
+        }
+        sendResponse({ ok: true, overrides, results });
+        break;
+      }
+
+      // ── OPEN_TABS ──────────────────────────────────────────────────────
+      case "OPEN_TABS": {
+        for (const url of msg.urls) {
+          await chrome.tabs.create({ url, active: false });
+        }
+        sendResponse({ ok: true });
         break;
       }
 
       // ── TEST_API_KEY ───────────────────────────────────────────────────
       case "TEST_API_KEY": {
-        const result = await testApiKey(msg.apiKey);
+        const settings = await loadSettings();
+        const result = await testApiKey(msg.apiKey, settings.apiBaseUrl, msg.keyId);
         sendResponse(result);
         break;
       }
 
       // ── GET_SETTINGS ───────────────────────────────────────────────────
       case "GET_SETTINGS": {
-        const settings = await getSettings();
+        const settings = await loadSettings();
         sendResponse({ ok: true, settings });
         break;
       }
 
+      // ── EXPORT_SETTINGS ────────────────────────────────────────────────
+      case "EXPORT_SETTINGS": {
+        const settings = await loadSettings();
+        const file = buildSettingsFile(
+          settings,
+          await listOverrides(),
+          Boolean(msg.includeApiKeys)
+        );
+        sendResponse({ ok: true, ...file });
+        break;
+      }
+
+      // ── IMPORT_SETTINGS ────────────────────────────────────────────────
+      case "IMPORT_SETTINGS": {
+        let parsed;
+        try {
+          parsed = parseSettingsFile(msg.data);
+        } catch (e) {
+          sendResponse({ ok: false, error: e.message });
+          return;
+        }
+        await saveSettings(parsed.settings);
+        sendResponse({
+          ok: true,
+          settings: Object.keys(parsed.settings).length,
+          overrides: await importOverrides(parsed.overrides),
+        });
+        break;
+      }
+
+      // ── GET_CHANNELS ───────────────────────────────────────────────────
+      case "GET_CHANNELS": {
+        const settings = await loadSettings();
+        const result = await listCachedResults(settings);
+        applyOverrides(result, await getOverrides(Object.keys(result)), settings.tiers);
+        await attachHistory(result);
+        // "How many died this year": every channel ever recorded, cached or not
+        const yearStart = new Date(new Date().getFullYear(), 0, 1).getTime();
+        sendResponse({
+          ok: true,
+          channels: Object.values(result),
+          thresholdDays: settings.thresholdDays,
+          tiers: settings.tiers,
+          thisYear: countEventsSince(await listHistories(), yearStart),
+        });
+        break;
+      }
+
+      // ── EXPORT_RESULTS ─────────────────────────────────────────────────
+      case "EXPORT_RESULTS": {
+        const filter = msg.filter ?? "all";
+        if (!EXPORT_FILTERS[filter]) {
+          sendResponse({ ok: false, error: "UNKNOWN_FILTER" });
+          return;
+        }
+        const settings = await loadSettings();
+        const all = await loadResultRows(settings);
+        const rows = (msg.channelIds ?? Object.keys(all))
+          .map((id) => all[id])
+          .filter((row) => row && EXPORT_FILTERS[filter](row));
+        try {
+          const file = buildExport(rows, msg.format, filter);
+          sendResponse({ ok: true, count: rows.length, ...file });
+        } catch (e) {
+          sendResponse({ ok: false, error: e.message });
+        }
+        break;
+      }
+
       // ── CLEAR_CACHE ────────────────────────────────────────────────────
       case "CLEAR_CACHE": {
-        const all = await chrome.storage.local.get(null);
-        const cacheKeys = Object.keys(all).filter((k) =>
-          k.startsWith("cache.")
-        );
-        await chrome.storage.local.remove(cacheKeys);
-        await chrome.storage.local.remove("lastScanSummary");
-        sendResponse({ ok: true, cleared: cacheKeys.length });
+        const cleared = await clearCache();
+        await chrome.storage.local.remove(["lastScanSummary", "lastScanResults"]);
+        sendResponse({ ok: true, cleared });
+        break;
+      }
+
+      // ── GET_CACHE_STATS ────────────────────────────────────────────────
+      case "GET_CACHE_STATS": {
+        const settings = await loadSettings();
+        const staleBefore = Date.now() - settings.cacheTtlHours * 60 * 60 * 1000;
+        sendResponse({ ok: true, ...(await countCacheEntries(staleBefore)) });
+        break;
+      }
+
+      // ── SAVE_SNAPSHOT ──────────────────────────────────────────────────
+      case "SAVE_SNAPSHOT": {
+        const snapshot = createSnapshot(msg.channels);
+        await saveSnapshot(snapshot);
+        sendResponse({
+          ok: true,
+          id: snapshot.id,
+          count: snapshot.channels.length,
+        });
+        break;
+      }
+
+      // ── IMPORT_SNAPSHOT ────────────────────────────────────────────────
+      case "IMPORT_SNAPSHOT": {
+        try {
+          const snapshot = parseSnapshot(msg.snapshot);
+          await saveSnapshot(snapshot);
+          sendResponse({ ok: true, id: snapshot.id });
+        } catch (e) {
+          sendResponse({ ok: false, error: e.message });
+        }
+        break;
+      }
+
+      // ── LIST_SNAPSHOTS ─────────────────────────────────────────────────
+      case "LIST_SNAPSHOTS": {
+        sendResponse({ ok: true, snapshots: await listSnapshots() });
+        break;
+      }
+
+      // ── DELETE_SNAPSHOT ────────────────────────────────────────────────
+      case "DELETE_SNAPSHOT": {
+        await deleteSnapshot(msg.id);
+        sendResponse({ ok: true });
+        break;
+      }
+
+      // ── LOG_UNSUBSCRIBE ────────────────────────────────────────────────
+      case "LOG_UNSUBSCRIBE": {
+        const { unsubscribeLog = [] } =
+          await chrome.storage.local.get("unsubscribeLog");
+        unsubscribeLog.push({ ...msg.entry, time: Date.now() });
+        await chrome.storage.local.set({
+          unsubscribeLog: unsubscribeLog.slice(-UNSUBSCRIBE_LOG_MAX),
+        });
+        sendResponse({ ok: true });
+        break;
+      }
+
+      // ── CLEAR_UNSUBSCRIBE_LOG ──────────────────────────────────────────
+      case "CLEAR_UNSUBSCRIBE_LOG": {
+        await chrome.storage.local.remove("unsubscribeLog");
+        sendResponse({ ok: true });
         break;
       }
 
@@ -77,10 +868,32 @@ chrome.runtime.onMessage.addListener((msg, _sender, sendResponse) => {
         break;
       }
 
+      // ── OPEN_DASHBOARD ─────────────────────────────────────────────────
+      case "OPEN_DASHBOARD": {
+        await chrome.tabs.create({
+          url: chrome.runtime.getURL("src/dashboard/dashboard.html"),
+        });
+        sendResponse({ ok: true });
+        break;
+      }
+
+      // ── OPEN_SNAPSHOTS ─────────────────────────────────────────────────
+      case "OPEN_SNAPSHOTS": {
+        await chrome.tabs.create({
+          url: chrome.runtime.getURL("src/snapshots/snapshots.html"),
+        });
+        sendResponse({ ok: true });
+        break;
+      }
+
       default:
         sendResponse({ ok: false, error: "UNKNOWN_MESSAGE" });
     }
-  })();
+  })().catch((e) => {
+    // A failed request (network, quota, auth, storage) still gets an answer,
+    // or the caller would wait forever
+    sendResponse({ ok: false, error: e.message });
+  });
 
   return true; // keep message channel open for async response
 });
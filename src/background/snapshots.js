@@ -0,0 +1,96 @@
+/**
+ * Subscription snapshots: a versioned backup of every channel card found on
+ * /feed/channels, kept in chrome.storage.local under `snapshots` (newest
+ * first) and downloadable / re-importable as JSON.
+ *
+ * Snapshot shape (version 1):
+ *   {
+ *     format: "ytsc-snapshot", version: 1, id, createdAt,
+ *     channels: [{ channelId, handle, name, status, flagged }]
+ *   }
+ */
+
+export const SNAPSHOT_FORMAT = "ytsc-snapshot";
+export const SNAPSHOT_VERSION = 1;
+
+// Older snapshots are dropped beyond this
+const MAX_SNAPSHOTS = 10;
+
+function normalizeChannel(c) {
+  return {
+    channelId: typeof c.channelId === "string" ? c.channelId : null,
+    handle: typeof c.handle === "string" ? c.handle : null,
+    name: typeof c.name === "string" ? c.name : null,
+    status: typeof c.status === "string" ? c.status : null,
+    flagged: c.flagged === true,
+  };
+}
+
+/**
+ * Builds a new snapshot from the channels collected on the page.
+ * Cards with neither an ID nor a handle can't be restored, so they're dropped.
+ * @param {object[]} channels
+ */
+export function createSnapshot(channels) {
+  return {
+    format: SNAPSHOT_FORMAT,
+    version: SNAPSHOT_VERSION,
+    id: crypto.randomUUID(),
+    createdAt: Date.now(),
+    channels: channels
+      .map(normalizeChannel)
+      .filter((c) => c.channelId || c.handle),
+  };
+}
+
+/**
+ * Validates an imported snapshot. Throws on anything this version can't read.
+ * @param {object} data  – parsed JSON
+ * @returns {object}     – the snapshot, normalised
+ */
+export function parseSnapshot(data) {
+  if (data?.format !== SNAPSHOT_FORMAT) {
+    throw new Error("NOT_A_SNAPSHOT");
+  }
+  if (data.version !== SNAPSHOT_VERSION) {
+    throw new Error(`UNSUPPORTED_SNAPSHOT_VERSION: ${data.version}`);
+  }
+  if (!Array.isArray(data.channels)) {
+    throw new Error("NOT_A_SNAPSHOT");
+  }
+
+  return {
+    format: SNAPSHOT_FORMAT,
+    version: SNAPSHOT_VERSION,
+    id: typeof data.id === "string" ? data.id : crypto.randomUUID(),
+    createdAt: Number(data.createdAt) || Date.now(),
+    channels: data.channels
+      .map(normalizeChannel)
+      .filter((c) => c.channelId || c.handle),
+  };
+}
+
+/** Returns every stored snapshot, newest first. */
+export async function listSnapshots() {
+  const { snapshots = [] } = await chrome.storage.local.get("snapshots");
+  return snapshots;
+}
+
+/**
+ * Stores a snapshot, replacing one with the same id (re-imports).
+ * @param {object} snapshot
+ */
+export async function saveSnapshot(snapshot) {
+  const snapshots = (await listSnapshots()).filter((s) => s.id !== snapshot.id);
+  snapshots.push(snapshot);
+  snapshots.sort((a, b) => b.createdAt - a.createdAt);
+  await chrome.storage.local.set({
+    snapshots: snapshots.slice(0, MAX_SNAPSHOTS),
+  });
+}
+
+/** @param {string} id */
+export async function deleteSnapshot(id) {
+  const snapshots = (await listSnapshots()).filter((s) => s.id !== id);
+  await chrome.storage.local.set({ snapshots });
+}
@@ -0,0 +1,71 @@
+/**
+ * Upload kinds: long-form videos, Shorts and livestreams.
+ *
+ * A channel that only posts Shorts any more still "uploads", but not what
+ * most people subscribed for. With classification on, each channel's recent
+ * uploads are looked up with videos.list (1 unit per 50 videos) and the
+ * newest upload of each kind is cached with the channel entry, so the kinds
+ * that count toward inactivity can be chosen freely afterwards.
+ *
+ * The API has no "is a Short" field, so Shorts are recognised by duration:
+ * anything up to SHORT_MAX_SECONDS that isn't a livestream. A long-form video
+ * that short is counted as a Short.
+ */
+
+import { UPLOAD_KINDS } from "../shared/uploadKinds.js";
+
+// YouTube Shorts can be up to three minutes long
+const SHORT_MAX_SECONDS = 180;
+
+/**
+ * Seconds in an ISO 8601 duration such as "PT1H2M3S" or "P1DT2H".
+ * @param {string} iso
+ * @returns {number|null}
+ */
+export function parseDuration(iso) {
+  const m = /^P(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/.exec(iso ?? "");
+  if (!m) return null;
+  const [d, h, min, s] = m.slice(1).map((v) => Number(v ?? 0));
+  return ((d * 24 + h) * 60 + min) * 60 + s;
+}
+
+/**
+ * Kind of a videos.list item (parts contentDetails, liveStreamingDetails).
+ * @returns {"long"|"short"|"live"|null} null for streams that haven't started
+ */
+export function classifyVideo(item) {
+  const live = item.liveStreamingDetails;
+  if (live) return live.actualStartTime ? "live" : null;
+  const seconds = parseDuration(item.contentDetails?.duration);
+  return seconds != null && seconds <= SHORT_MAX_SECONDS ? "short" : "long";
+}
+
+/**
+ * Newest publish date per kind.
+ * @param {Array<{ videoId: string, publishedAt: string|null }>} uploads
+ * @param {object} kinds – videoId → kind, from classifyVideo()
+ * @returns {{ long: string|null, short: string|null, live: string|null }}
+ */
+export function lastUploadByKind(uploads, kinds) {
+  const last = Object.fromEntries(UPLOAD_KINDS.map((kind) => [kind, null]));
+  for (const { videoId, publishedAt } of uploads) {
+    const kind = kinds[videoId];
+    if (!kind || !publishedAt) continue;
+    if (!last[kind] || publishedAt > last[kind]) last[kind] = publishedAt;
+  }
+  return last;
+}
+
+/**
+ * Newest upload among the kinds that count toward inactivity.
+ * @param {object}   lastByKind
+ * @param {string[]} countedKinds
+ * @returns {string|null}
+ */
+export function countedLastUpload(lastByKind, countedKinds) {
+  return countedKinds
+    .map((kind) => lastByKind[kind])
+    .filter(Boolean)
+    .sort()
+    .pop() ?? null;
+}
@@ -5,39 +5,73 @@
  *   - channels.list   → 1 unit/call, batched up to 50 IDs per request
  *   - playlistItems.list → 1 unit/call, one per channel (cannot batch)
  *   - Total for 270 channels: ~6 + 270 = ~276 units per full scan
+ *   - channels.list?forHandle → 1 unit/call, only for handle-only cards and
+ *     only once per handle (resolutions are cached permanently)
+ *   - subscriptions.list?mine=true → 1 unit/call, 50 channels per page
+ *     (OAuth mode only)
  *   - search.list (100 units each) is intentionally avoided
+ *
+ * Data sources (settings.dataSource):
+ *   - "api" (default)    – everything above
+ *   - "rss"              – each channel's public Atom feed (rss.js): no units
+ *                          at all, no Data API credentials needed
+ *   - "rssFallback"      – feeds first, the API for channels whose feed failed
+ *
+ * Auth modes:
+ *   - "apiKey" (default) – `key=` on every request, from settings.apiKeys;
+ *                          a key Google refuses for quota is skipped for the
+ *                          rest of the quota day and the next one used
+ *   - "oauth"            – bearer token from auth.js; needed for
+ *                          subscriptions.list?mine=true
  */
 
-import { createLimiter } from "./limiter.js";
-
-const DEFAULTS = {
-  thresholdDays: 365,
-  cacheTtlHours: 24,
-  concurrency: 6,
-};
-
-const YT_API_BASE = "https://www.googleapis.com/youtube/v3";
+import { createLimiter, sleep } from "./limiter.js";
+import {
+  getCacheEntries,
+  setCacheEntries,
+  listCacheEntries,
+  createCacheWriter,
+} from "./cache.js";
+import { getAccessToken, clearAccessToken } from "./auth.js";
+import { recordUnits, markKeyExhausted, exhaustedKeys, scanCost } from "./quota.js";
+import { CADENCE_SAMPLE_SIZE, typicalIntervalDays, isGoingQuiet } from "./cadence.js";
+import { classifyVideo, lastUploadByKind, countedLastUpload } from "./uploadKinds.js";
+import { fetchChannelFeed } from "./rss.js";
+import { DEFAULTS } from "../shared/settings.js";
 
 // --------------------------------------------------------------------------
-// Settings
+// Settings (defaults, validation and storage live in shared/settings.js)
 // --------------------------------------------------------------------------
 
-export async function getSettings() {
-  const stored = await chrome.storage.local.get([
-    "apiKey",
-    "thresholdDays",
-    "cacheTtlHours",
-    "concurrency",
-  ]);
-  return { ...DEFAULTS, ...stored };
+/**
+ * Whether the settings carry what the current auth mode needs before any
+ * request is made. Returns an error code, or null when good to go.
+ * In OAuth mode this only checks for a client ID; an expired sign-in
+ * surfaces as AUTH_REQUIRED from the first request.
+ */
+export function missingCredentials(settings) {
+  if (settings.authMode === "oauth") {
+    return settings.oauthClientId ? null : "AUTH_REQUIRED";
+  }
+  return settings.apiKeys.length > 0 ? null : "MISSING_API_KEY";
+}
+
+/**
+ * Whether scans call the Data API, and so need credentials: always with
+ * the "api" data source, with "rssFallback" only when there are credentials
+ * to fall back on.
+ */
+export function scanUsesApi(settings) {
+  if (settings.dataSource === "api") return true;
+  return settings.dataSource === "rssFallback" && !missingCredentials(settings);
 }
 
 // --------------------------------------------------------------------------
 // Helpers
 // --------------------------------------------------------------------------
 
-function ytUrl(path, params) {
-  const u = new URL(`${YT_API_BASE}/${path}`);
+function ytUrl(apiBaseUrl, path, params) {
+  const u = new URL(`${apiBaseUrl.replace(/\/+$/, "")}/${path}`);
   for (const [k, v] of Object.entries(params)) {
     u.searchParams.set(k, v);
   }
@@ -45,36 +79,112 @@ function ytUrl(path, params) {
 }
 
 /**
- * Fetch with exponential backoff on 403/429.
+ * GETs a Data API endpoint with the credentials of the current auth mode.
+ *
+ * @param {string} path     – e.g. "channels"
+ * @param {object} params   – query parameters (without `key`)
+ * @param {object} settings
+ * @param {AbortSignal} [signal] – cancels the request (and any retry wait)
  */
-async function fetchJsonWithRetry(url, maxRetries = 3) {
+async function apiGet(path, params, settings, signal) {
+  if (settings.authMode !== "oauth") return apiGetWithKeys(path, params, settings, signal);
+
+  recordUnits(path);
+  const token = await getAccessToken(settings);
+  const url = ytUrl(settings.apiBaseUrl, path, params);
+  try {
+    return await fetchJsonWithRetry(url, {
+      headers: { Authorization: `Bearer ${token}` },
+      signal,
+    });
+  } catch (e) {
+    if (e.status === 401) {
+      // Revoked or expired early – forget it so the user is asked to sign in
+      await clearAccessToken();
+      e.isAuth = true;
+    }
+    throw e;
+  }
+}
+
+/**
+ * API-key mode: tries the keys in order, skipping the ones Google has
+ * refused for quota today. A quota error marks the key and moves on to the
+ * next; the caller only sees one once every key is out.
+ */
+async function apiGetWithKeys(path, params, settings, signal) {
+  const exhausted = await exhaustedKeys();
+  let quotaError = null;
+  for (const apiKey of settings.apiKeys) {
+    if (exhausted.has(apiKey.id)) continue;
+    recordUnits(path, undefined, apiKey.id);
+    const url = ytUrl(settings.apiBaseUrl, path, { ...params, key: apiKey.key });
+    try {
+      return await fetchJsonWithRetry(url, { signal });
+    } catch (e) {
+      if (!e.isQuota) throw e;
+      quotaError = e;
+      await markKeyExhausted(apiKey.id);
+    }
+  }
+  if (quotaError) throw quotaError;
+  const err = new Error("Every API key is out of quota for today");
+  err.status = 403;
+  err.isQuota = true;
+  throw err;
+}
+
+/**
+ * Fetch with exponential backoff on 403/429. Quota errors are thrown right
+ * away (with `isQuota`): they last until the daily reset, and in API-key
+ * mode the next key can take over. An abort (init.signal) rejects with its
+ * reason, even mid-backoff.
+ */
+async function fetchJsonWithRetry(url, init = {}, maxRetries = 3) {
   let delay = 1000;
   for (let attempt = 0; attempt <= maxRetries; attempt++) {
-    const r = await fetch(url);
+    const r = await fetch(url, init);
     if (r.ok) return r.json();
 
-    if ((r.status === 403 || r.status === 429) && attempt < maxRetries) {
-      await sleep(delay);
+    const body = await r.json().catch(() => ({}));
+    const apiMsg = body?.error?.message;
+    const isQuota = r.status === 403 && Boolean(apiMsg?.toLowerCase().includes("quota"));
+
+    if ((r.status === 403 || r.status === 429) && !isQuota && attempt < maxRetries) {
+      await sleep(delay, init.signal);
       delay *= 2;
       continue;
     }
 
-    const body = await r.json().catch(() => ({}));
-    const apiMsg = body?.error?.message;
     const err = new Error(apiMsg || `HTTP_${r.status}`);
     err.status = r.status;
-    err.isQuota = r.status === 403 && apiMsg?.toLowerCase().includes("quota");
+    err.isQuota = isQuota;
     throw err;
   }
 }
 
-function sleep(ms) {
-  return new Promise((r) => setTimeout(r, ms));
+// Identifies the kinds a cached cadence was computed over
+function kindsKey(settings) {
+  return settings.classifyUploads ? [...settings.countedKinds].sort().join(",") : "all";
 }
 
-function isFresh(cached, cacheTtlHours) {
+function isFresh(cached, settings) {
   if (!cached?.lastCheckedAt) return false;
-  const ttlMs = cacheTtlHours * 60 * 60 * 1000;
+  // Feed entries have no per-kind dates; with the API as the only source,
+  // channels read from feeds are checked again
+  const fromFeed = cached.source === "rss";
+  if (fromFeed && settings.dataSource === "api") return false;
+  // Entries fetched before cadence analysis / classification was switched
+  // on lack the interval / per-kind dates
+  if (
+    settings.cadenceAnalysis &&
+    (cached.typicalIntervalDays === undefined ||
+      (cached.cadenceKinds ?? "all") !== (fromFeed ? "all" : kindsKey(settings)))
+  ) {
+    return false;
+  }
+  if (settings.classifyUploads && !fromFeed && !cached.lastByKind) return false;
+  const ttlMs = settings.cacheTtlHours * 60 * 60 * 1000;
   return Date.now() - cached.lastCheckedAt < ttlMs;
 }
 
@@ -85,44 +195,126 @@ function daysAgo(isoDate) {
   );
 }
 
+function resultFromCache(entry, settings) {
+  let lastUploadAt = entry.lastUploadAt;
+  let days = daysAgo(lastUploadAt);
+  let atLeast = false;
+
+  if (settings.classifyUploads && entry.lastByKind) {
+    lastUploadAt = countedLastUpload(entry.lastByKind, settings.countedKinds);
+    days = daysAgo(lastUploadAt);
+    // No counted upload among the ones sampled: it's older than all of them
+    if (!lastUploadAt && !entry.sampleComplete && entry.sampledSince) {
+      days = daysAgo(entry.sampledSince);
+      atLeast = true;
+    }
+  }
+
+  const result = {
+    lastUploadAt,
+    daysAgo: days,
+    thresholdDays: settings.thresholdDays,
+    status: lastUploadAt || atLeast ? "ok" : "no_uploads",
+  };
+  if (settings.classifyUploads && entry.lastByKind) {
+    result.lastByKind = entry.lastByKind;
+    if (atLeast) result.daysAgoAtLeast = true;
+  }
+  if (settings.cadenceAnalysis) {
+    result.typicalIntervalDays = entry.typicalIntervalDays ?? null;
+    result.goingQuiet = isGoingQuiet(
+      days,
+      result.typicalIntervalDays,
+      settings.cadenceFactor
+    );
+  }
+  return result;
+}
+
+// Channel metadata kept in cache entries for the dashboard, minus empty values
+const META_FIELDS = ["title", "handle", "avatarUrl"];
+
+function pickMeta(src) {
+  const meta = {};
+  for (const field of META_FIELDS) {
+    if (src?.[field]) meta[field] = src[field];
+  }
+  return meta;
+}
+
+function metaChanged(entry, meta) {
+  return META_FIELDS.some((f) => meta[f] && meta[f] !== entry[f]);
+}
+
 // --------------------------------------------------------------------------
 // Main fetch logic
 // --------------------------------------------------------------------------
 
+const QUOTA_HIT_MSG = "Quota exhausted earlier in this scan";
+
 /**
  * Fetches last upload dates for an array of channelIds.
  *
  * Returns a map: channelId → { lastUploadAt, daysAgo, status, thresholdDays }
  * status values: "ok" | "no_uploads" | "api_error" | "quota_exceeded"
+ * Channels channels.list no longer returns (deleted, terminated) come back as
+ * "no_uploads" with `gone: true`.
+ * With cadence analysis on, results also carry typicalIntervalDays and
+ * goingQuiet, and the interval is cached with the entry. With upload
+ * classification on, they carry lastByKind, and lastUploadAt / daysAgo only
+ * count the kinds in settings.countedKinds.
+ *
+ * Channel metadata (title, handle, avatar) is stored alongside each cache
+ * entry: from `meta` (read off the page by the content script) and from the
+ * channels.list snippet, which costs nothing extra.
+ *
+ * With an RSS data source, channels are checked through their feeds first
+ * (see fetchFromFeeds); the result shape and caching are the same, except
+ * that feeds can't classify uploads and never report a channel as gone.
+ *
+ * Each result is also handed to `onResult` the moment it is known – cached
+ * ones straight away, the rest as their playlistItems call (or feed)
+ * comes back – so callers can show progress before the whole map is done.
+ *
+ * Aborting `signal` cancels the scan: requests in flight are dropped, queued
+ * ones never start, and the map comes back with the channels checked so
+ * far. The rest are simply missing from it.
  *
  * @param {string[]} channelIds
  * @param {object}   settings
  * @param {boolean}  bypassCache
+ * @param {object}   [meta]      channelId → { title?, handle?, avatarUrl? }
+ * @param {{ onResult?: Function, signal?: AbortSignal }} [options]
+ *   onResult(channelId, info) for each result
  */
 export async function fetchLastUploadDates(
   channelIds,
   settings,
-  bypassCache = false
+  bypassCache = false,
+  meta = {},
+  { onResult = () => {}, signal = null } = {}
 ) {
-  const { apiKey, cacheTtlHours, concurrency, thresholdDays } = settings;
+  const { concurrency, thresholdDays, cadenceAnalysis, classifyUploads } = settings;
 
   // ── 1. Load cache ──────────────────────────────────────────────────────
-  const cacheKeys = channelIds.map((id) => `cache.${id}`);
-  const cached = await chrome.storage.local.get(cacheKeys);
+  const cached = await getCacheEntries(channelIds);
 
   const results = {};
-  const toFetch = []; // { channelId, cachedPlaylistId? }
+  const report = (channelId, info) => {
+    results[channelId] = info;
+    onResult(channelId, info);
+  };
+  let toFetch = []; // { channelId, cachedPlaylistId? }
+  const metaUpdates = {}; // fresh entries whose page metadata changed
 
   for (const channelId of channelIds) {
-    const entry = cached[`cache.${channelId}`];
-    if (!bypassCache && isFresh(entry, cacheTtlHours)) {
-      const days = daysAgo(entry.lastUploadAt);
-      results[channelId] = {
-        lastUploadAt: entry.lastUploadAt,
-        daysAgo: days,
-        thresholdDays,
-        status: entry.lastUploadAt ? "ok" : "no_uploads",
-      };
+    const entry = cached[channelId];
+    if (!bypassCache && isFresh(entry, settings)) {
+      report(channelId, resultFromCache(entry, settings));
+      const pageMeta = pickMeta(meta[channelId]);
+      if (metaChanged(entry, pageMeta)) {
+        metaUpdates[channelId] = { ...entry, ...pageMeta };
+      }
     } else {
       toFetch.push({
         channelId,
@@ -131,119 +323,434 @@ export async function fetchLastUploadDates(
     }
   }
 
+  if (Object.keys(metaUpdates).length > 0) {
+    await setCacheEntries(metaUpdates);
+  }
+
   if (toFetch.length === 0) return results;
 
-  // ── 2. Batch channels.list to resolve uploads playlist IDs ─────────────
+  // ── 2. RSS feeds, unless the API is the only source ────────────────────
+  if (settings.dataSource !== "api") {
+    const failed = await fetchFromFeeds(toFetch, cached, meta, settings, report, signal);
+    if (signal?.aborted) return results;
+    if (!scanUsesApi(settings)) {
+      for (const { channelId, error } of failed) {
+        report(channelId, { status: "api_error", error, thresholdDays });
+      }
+      return results;
+    }
+    toFetch = failed;
+    if (toFetch.length === 0) return results;
+  }
+
+  // ── 3. Batch channels.list to resolve uploads playlist IDs ─────────────
   //    Only needed for channels where we don't have a cached playlist ID.
   const needPlaylistId = toFetch
     .filter((c) => !c.cachedPlaylistId)
     .map((c) => c.channelId);
 
   const playlistIdMap = {}; // channelId → uploadsPlaylistId
+  const apiMeta = {}; // channelId → { title, handle, avatarUrl }
+  const gone = new Set(); // channels.list no longer knows them
+
+  // Once the quota is gone every further call fails too, so stop making them
+  let quotaHit = false;
+  const quotaExceeded = (error) => ({ status: "quota_exceeded", error, thresholdDays });
 
   for (let i = 0; i < needPlaylistId.length; i += 50) {
+    if (signal?.aborted) return results;
     const batch = needPlaylistId.slice(i, i + 50);
-    const url = ytUrl("channels", {
-      part: "contentDetails",
-      id: batch.join(","),
-      key: apiKey,
-    });
+    if (quotaHit) {
+      for (const cid of batch) report(cid, quotaExceeded(QUOTA_HIT_MSG));
+      continue;
+    }
+    // snippet rides along for free: channels.list costs 1 unit whatever the parts
     try {
-      const data = await fetchJsonWithRetry(url);
+      const data = await apiGet(
+        "channels",
+        { part: "snippet,contentDetails", id: batch.join(",") },
+        settings,
+        signal
+      );
       for (const item of data.items ?? []) {
         playlistIdMap[item.id] =
           item.contentDetails?.relatedPlaylists?.uploads ?? null;
+        apiMeta[item.id] = pickMeta({
+          title: item.snippet?.title,
+          handle: item.snippet?.customUrl,
+          avatarUrl: item.snippet?.thumbnails?.default?.url,
+        });
       }
       // Channels with no entry in response are private/deleted → mark no_uploads
       for (const cid of batch) {
-        if (!(cid in playlistIdMap)) playlistIdMap[cid] = null;
+        if (!(cid in playlistIdMap)) {
+          playlistIdMap[cid] = null;
+          gone.add(cid);
+        }
       }
     } catch (e) {
+      if (signal?.aborted) return results;
+      if (e.isQuota) quotaHit = true;
       const status = e.isQuota ? "quota_exceeded" : "api_error";
       for (const cid of batch) {
-        results[cid] = { status, error: e.message, thresholdDays };
+        report(cid, { status, error: e.message, thresholdDays });
       }
     }
   }
 
-  // ── 3. Fetch most recent playlistItems for each channel ────────────────
-  const limit = createLimiter(concurrency);
+  // ── 4. Fetch most recent playlistItems for each channel ────────────────
+  const limit = createLimiter(concurrency, signal);
+  const cacheWriter = createCacheWriter();
 
   const promises = toFetch.map(({ channelId, cachedPlaylistId }) => {
-    // Skip channels already marked as error from step 2
+    // Skip channels already marked as error from step 3
     if (channelId in results) return Promise.resolve();
 
     const uploadsPlaylistId = cachedPlaylistId ?? playlistIdMap[channelId];
 
     if (!uploadsPlaylistId) {
-      results[channelId] = {
-        status: "no_uploads",
-        daysAgo: null,
-        thresholdDays,
-      };
+      const info = { status: "no_uploads", daysAgo: null, thresholdDays };
+      if (gone.has(channelId)) info.gone = true;
+      report(channelId, info);
       return Promise.resolve();
     }
 
     return limit(async () => {
+      if (quotaHit) {
+        report(channelId, quotaExceeded(QUOTA_HIT_MSG));
+        return;
+      }
       try {
-        const url = ytUrl("playlistItems", {
-          part: "contentDetails",
-          playlistId: uploadsPlaylistId,
-          maxResults: 1,
-          key: apiKey,
-        });
-        const data = await fetchJsonWithRetry(url);
-        const item = data.items?.[0];
-        // Prefer videoPublishedAt (actual publish date); fall back to publishedAt
-        const lastUploadAt =
-          item?.contentDetails?.videoPublishedAt ?? null;
-        const days = daysAgo(lastUploadAt);
-
-        results[channelId] = {
+        // Same 1-unit cost for 1 item or 50, so cadence analysis is free
+        const data = await apiGet(
+          "playlistItems",
+          {
+            part: "contentDetails",
+            playlistId: uploadsPlaylistId,
+            maxResults: cadenceAnalysis || classifyUploads ? CADENCE_SAMPLE_SIZE : 1,
+          },
+          settings,
+          signal
+        );
+        const uploads = (data.items ?? []).map((item) => ({
+          videoId: item.contentDetails?.videoId,
+          publishedAt: item.contentDetails?.videoPublishedAt ?? null,
+        }));
+        let publishedAt = uploads.map((u) => u.publishedAt);
+        // Newest first in practice, but don't rely on the playlist order
+        const sorted = publishedAt.filter(Boolean).sort();
+        const lastUploadAt = sorted.at(-1) ?? null;
+
+        const entry = {
+          ...pickMeta(cached[channelId]),
+          ...pickMeta(meta[channelId]),
+          ...apiMeta[channelId],
+          uploadsPlaylistId,
           lastUploadAt,
-          daysAgo: days,
-          thresholdDays,
-          status: lastUploadAt ? "ok" : "no_uploads",
+          lastCheckedAt: Date.now(),
         };
-
-        // Update cache
-        await chrome.storage.local.set({
-          [`cache.${channelId}`]: {
-            uploadsPlaylistId,
-            lastUploadAt,
-            lastCheckedAt: Date.now(),
-          },
-        });
+        if (classifyUploads) {
+          const kinds = await fetchUploadKinds(
+            uploads.map((u) => u.videoId),
+            settings,
+            signal
+          );
+          entry.lastByKind = lastUploadByKind(uploads, kinds);
+          entry.sampledSince = sorted[0] ?? null;
+          entry.sampleComplete = !data.nextPageToken;
+          // Cadence of the kinds that count, not of everything
+          publishedAt = uploads
+            .filter((u) => settings.countedKinds.includes(kinds[u.videoId]))
+            .map((u) => u.publishedAt);
+        }
+        if (cadenceAnalysis) {
+          entry.typicalIntervalDays = typicalIntervalDays(publishedAt);
+          entry.cadenceKinds = kindsKey(settings);
+        }
+        report(channelId, resultFromCache(entry, settings));
+
+        // Update cache (written in batches)
+        await cacheWriter.put(channelId, entry);
       } catch (e) {
+        if (signal?.aborted) return;
+        if (e.isQuota) quotaHit = true;
         const status = e.isQuota ? "quota_exceeded" : "api_error";
-        results[channelId] = { status, error: e.message, thresholdDays };
+        report(channelId, { status, error: e.message, thresholdDays });
       }
-    });
+    }).catch(ignoreDrained(signal));
   });
 
   await Promise.all(promises);
+  await cacheWriter.flush();
   return results;
 }
 
+// Catch handler for limiter tasks: those dropped from the queue by a
+// cancelled scan reject with the abort reason, which isn't an error here
+function ignoreDrained(signal) {
+  return (e) => {
+    if (!signal?.aborted) throw e;
+  };
+}
+
+/**
+ * Checks channels through their RSS feeds, handing each result to `report`
+ * like the API path does. Entries are cached marked `source: "rss"`, keeping any
+ * uploads playlist ID an earlier API scan found.
+ *
+ * @returns {Promise<Array<{ channelId, cachedPlaylistId, error }>>} the
+ *   channels whose feed couldn't be read (not the ones cut short by `signal`)
+ */
+async function fetchFromFeeds(toFetch, cached, meta, settings, report, signal) {
+  const limit = createLimiter(settings.concurrency, signal);
+  const cacheWriter = createCacheWriter();
+  const failed = [];
+
+  await Promise.all(
+    toFetch.map((channel) =>
+      limit(async () => {
+        const { channelId } = channel;
+        let feed;
+        try {
+          feed = await fetchChannelFeed(channelId, signal);
+        } catch (e) {
+          if (!signal?.aborted) failed.push({ ...channel, error: e.message });
+          return;
+        }
+        const publishedAt = feed.uploads.map((u) => u.publishedAt).sort();
+        const entry = {
+          ...pickMeta(cached[channelId]),
+          ...pickMeta(meta[channelId]),
+          ...pickMeta({ title: feed.title }),
+          uploadsPlaylistId: channel.cachedPlaylistId,
+          lastUploadAt: publishedAt.at(-1) ?? null,
+          lastCheckedAt: Date.now(),
+          source: "rss",
+        };
+        if (settings.cadenceAnalysis) {
+          entry.typicalIntervalDays = typicalIntervalDays(publishedAt);
+          entry.cadenceKinds = "all";
+        }
+        report(channelId, resultFromCache(entry, settings));
+        await cacheWriter.put(channelId, entry);
+      }).catch(ignoreDrained(signal))
+    )
+  );
+
+  await cacheWriter.flush();
+  return failed;
+}
+
+/**
+ * Classifies videos (at most 50) as long-form, Short or livestream.
+ * Videos that are gone or haven't premiered yet are left out.
+ * @returns {Promise<object>} videoId → kind
+ */
+async function fetchUploadKinds(videoIds, settings, signal) {
+  const ids = videoIds.filter(Boolean);
+  if (ids.length === 0) return {};
+  const data = await apiGet(
+    "videos",
+    { part: "contentDetails,liveStreamingDetails", id: ids.join(",") },
+    settings,
+    signal
+  );
+  const kinds = {};
+  for (const item of data.items ?? []) {
+    const kind = classifyVideo(item);
+    if (kind) kinds[item.id] = kind;
+  }
+  return kinds;
+}
+
+/**
+ * Estimates what fetchLastUploadDates would spend on these channels, from
+ * the cache state alone. An upper bound: channels that turn out to have no
+ * uploads playlist skip their playlistItems call. Feed-only scans are free;
+ * with "rssFallback" any feed may fail, so the channels are counted as if
+ * every one went to the API.
+ *
+ * @param {string[]} channelIds
+ * @param {object}   settings
+ * @param {boolean}  bypassCache
+ * @returns {Promise<{ units: number, toFetch: Array<{ channelId, needsPlaylistId }> }>}
+ */
+export async function estimateScanCost(channelIds, settings, bypassCache = false) {
+  const cached = await getCacheEntries(channelIds);
+  const toFetch = [];
+  for (const channelId of new Set(channelIds)) {
+    const entry = cached[channelId];
+    if (!bypassCache && isFresh(entry, settings)) continue;
+    toFetch.push({ channelId, needsPlaylistId: !entry?.uploadsPlaylistId });
+  }
+  if (!scanUsesApi(settings)) return { units: 0, toFetch };
+  const needPlaylistId = toFetch.filter((c) => c.needsPlaylistId).length;
+  return {
+    units: scanCost(toFetch.length, needPlaylistId, settings.classifyUploads),
+    toFetch,
+  };
+}
+
+/**
+ * Returns every cached channel, regardless of freshness, as a map:
+ * channelId → { channelId, title, handle, avatarUrl, lastCheckedAt,
+ *               lastUploadAt, daysAgo, status, thresholdDays }
+ *
+ * @param {object} settings
+ */
+export async function listCachedResults(settings) {
+  const entries = await listCacheEntries();
+  const results = {};
+  for (const [channelId, entry] of Object.entries(entries)) {
+    results[channelId] = {
+      channelId,
+      title: entry.title ?? null,
+      handle: entry.handle ?? null,
+      avatarUrl: entry.avatarUrl ?? null,
+      lastCheckedAt: entry.lastCheckedAt ?? null,
+      ...resultFromCache(entry, settings),
+    };
+  }
+  return results;
+}
+
+// --------------------------------------------------------------------------
+// Subscription list (OAuth mode)
+// --------------------------------------------------------------------------
+
+/**
+ * Pages through subscriptions.list?mine=true and returns every channel the
+ * signed-in user is subscribed to, independent of what the page rendered.
+ *
+ * @param {object}      settings  – must be in OAuth mode
+ * @param {AbortSignal} [signal]  – stops paging; rejects with its reason
+ * @returns {Promise<Array<{ channelId: string, title: string, avatarUrl: string|null }>>}
+ */
+export async function fetchSubscribedChannels(settings, signal = null) {
+  const channels = [];
+  let pageToken = null;
+
+  do {
+    const params = { part: "snippet", mine: "true", maxResults: 50 };
+    if (pageToken) params.pageToken = pageToken;
+
+    const data = await apiGet("subscriptions", params, settings, signal);
+    for (const item of data.items ?? []) {
+      const channelId = item.snippet?.resourceId?.channelId;
+      if (!channelId) continue;
+      channels.push({
+        channelId,
+        title: item.snippet.title,
+        avatarUrl: item.snippet.thumbnails?.default?.url ?? null,
+      });
+    }
+    pageToken = data.nextPageToken ?? null;
+  } while (pageToken);
+
+  return channels;
+}
+
+// --------------------------------------------------------------------------
+// Handle resolution
+// --------------------------------------------------------------------------
+
+/**
+ * Resolves @handles to UC... channel IDs for cards that only link to
+ * /@handle URLs.
+ *
+ * Resolutions are cached permanently under `handle.<@handle>` keys in
+ * chrome.storage.local. CLEAR_CACHE leaves them alone: a handle
+ * pointing at a different channel later is rare enough not to need a TTL.
+ *
+ * Returns a map: handle → channelId, or null if the handle could not be
+ * resolved (unknown handle or API error).
+ *
+ * @param {string[]} handles   – e.g. ["@mkbhd"]
+ * @param {object}   settings
+ */
+export async function resolveHandles(handles, settings) {
+  const { concurrency } = settings;
+
+  const cacheKeys = handles.map(handleCacheKey);
+  const cached = await chrome.storage.local.get(cacheKeys);
+
+  const resolved = {};
+  const toResolve = [];
+
+  for (const handle of handles) {
+    const channelId = cached[handleCacheKey(handle)];
+    if (channelId) {
+      resolved[handle] = channelId;
+    } else {
+      toResolve.push(handle);
+    }
+  }
+
+  const limit = createLimiter(concurrency);
+
+  await Promise.all(
+    toResolve.map((handle) =>
+      limit(async () => {
+        try {
+          const data = await apiGet(
+            "channels",
+            { part: "id", forHandle: handle },
+            settings
+          );
+          const channelId = data.items?.[0]?.id ?? null;
+          resolved[handle] = channelId;
+
+          if (channelId) {
+            await chrome.storage.local.set({
+              [handleCacheKey(handle)]: channelId,
+            });
+          }
+        } catch {
+          // Not cached, so the next scan tries again
+          resolved[handle] = null;
+        }
+      })
+    )
+  );
+
+  return resolved;
+}
+
+// Handles are case-insensitive on YouTube, so normalise the cache key
+function handleCacheKey(handle) {
+  return `handle.${handle.toLowerCase()}`;
+}
+
 // --------------------------------------------------------------------------
 // API key test
 // --------------------------------------------------------------------------
 
 /**
  * Validates an API key by making a minimal channels.list request
- * against YouTube's own public channel.
+ * against YouTube's own public channel. A key that works but is out of
+ * quota for today comes back with `exhausted`.
+ *
+ * @param {string} apiKey
+ * @param {string} [apiBaseUrl]
+ * @param {string} [keyId] – its ID in settings.apiKeys, for the quota ledger
+ * @returns {Promise<{ ok: boolean, exhausted?: boolean, error?: string }>}
  */
-export async function testApiKey(apiKey) {
-  const url = ytUrl("channels", {
+export async function testApiKey(apiKey, apiBaseUrl = DEFAULTS.apiBaseUrl, keyId = null) {
+  const url = ytUrl(apiBaseUrl, "channels", {
     part: "id",
     id: "UCBR8-60-B28hp2BmDPdntcQ", // YouTube's official channel
     key: apiKey,
   });
+  recordUnits("channels", undefined, keyId);
   try {
     const r = await fetch(url);
     if (r.ok) return { ok: true };
     const body = await r.json().catch(() => ({}));
     const msg = body?.error?.message || `HTTP ${r.status}`;
+    if (r.status === 403 && msg.toLowerCase().includes("quota")) {
+      if (keyId) await markKeyExhausted(keyId);
+      return { ok: false, exhausted: true, error: msg };
+    }
     return { ok: false, error: msg };
   } catch (e) {
     return { ok: false, error: e.message };
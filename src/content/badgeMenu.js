@@ -0,0 +1,167 @@
+/**
+ * badgeMenu.js – Per-channel settings menu for YT Subscriptions Cleaner.
+ *
+ * Plain script (no ES modules), loaded after dom.js. ytscAttachBadge adds a
+ * small "⋮" button to each badge; it opens this menu to edit the channel's
+ * override entry ("never flag", custom threshold, tags, note). Like the rest
+ * of the content UI it only dispatches an event on document;
+ * content_script.js stores the change and re-renders the card:
+ *
+ *   ytsc:edit-override { channelId, patch }  – patch keys set to null are removed
+ */
+
+/* global ytscExtractChannelId */
+
+// Tags used anywhere on the page, offered as one-click suggestions
+let ytscKnownTags = [];
+
+const YTSC_MAX_TAGS = 10;
+const YTSC_MAX_TAG_LENGTH = 30;
+
+/** @param {string[]} tags – set by content_script.js after each render */
+function ytscSetKnownTags(tags) {
+  ytscKnownTags = tags;
+}
+
+/**
+ * Splits "Music, work ,kids account" into ["music", "work", "kids account"]:
+ * lower-cased, "#" stripped, de-duplicated and capped.
+ * @param {string} text
+ * @returns {string[]}
+ */
+function ytscParseTags(text) {
+  const tags = text
+    .split(",")
+    .map((t) => t.trim().replace(/^#+/, "").toLowerCase().slice(0, YTSC_MAX_TAG_LENGTH))
+    .filter(Boolean);
+  return [...new Set(tags)].slice(0, YTSC_MAX_TAGS);
+}
+
+/** Closes the open menu, if any. */
+function ytscCloseBadgeMenu() {
+  document.querySelector(".ytsc-menu")?.remove();
+  document.removeEventListener("mousedown", ytscMenuOutsideClick, true);
+  document.removeEventListener("keydown", ytscMenuEscape, true);
+}
+
+function ytscMenuOutsideClick(e) {
+  if (!e.target.closest(".ytsc-menu")) ytscCloseBadgeMenu();
+}
+
+function ytscMenuEscape(e) {
+  if (e.key === "Escape") ytscCloseBadgeMenu();
+}
+
+function ytscMenuField(labelText, input) {
+  const label = document.createElement("label");
+  label.className = "ytsc-menu__field";
+  label.append(labelText, input);
+  return label;
+}
+
+/**
+ * Opens the settings menu for a card, next to its badge.
+ *
+ * @param {Element} card
+ * @param {Element} anchor – the element to position the menu under
+ * @param {object}  info   – the card's scan result, overrides applied
+ */
+function ytscOpenBadgeMenu(card, anchor, info) {
+  ytscCloseBadgeMenu();
+  const channelId = ytscExtractChannelId(card);
+  if (!channelId) return;
+
+  const menu = document.createElement("div");
+  menu.className = "ytsc-menu";
+  menu.setAttribute("role", "dialog");
+  menu.setAttribute("aria-label", "Channel settings");
+  // The badge sits inside the channel link: keep clicks from navigating
+  menu.addEventListener("click", (e) => e.stopPropagation());
+
+  const keep = document.createElement("input");
+  keep.type = "checkbox";
+  keep.checked = info.whitelisted === true;
+  const keepLabel = document.createElement("label");
+  keepLabel.className = "ytsc-menu__check";
+  keepLabel.append(keep, "Never flag this channel");
+
+  const threshold = document.createElement("input");
+  threshold.type = "number";
+  threshold.min = "1";
+  threshold.max = "3650";
+  threshold.placeholder = `${info.defaultThresholdDays ?? info.thresholdDays} (global)`;
+  threshold.value = info.customThresholdDays ?? "";
+
+  const tags = document.createElement("input");
+  tags.type = "text";
+  tags.placeholder = "music, work, kids account";
+  tags.value = (info.tags ?? []).join(", ");
+
+  const suggestions = document.createElement("div");
+  suggestions.className = "ytsc-menu__suggestions";
+  for (const tag of ytscKnownTags) {
+    const chip = document.createElement("button");
+    chip.className = "ytsc-menu__tag";
+    chip.textContent = `#${tag}`;
+    chip.addEventListener("click", () => {
+      tags.value = ytscParseTags(`${tags.value},${tag}`).join(", ");
+    });
+    suggestions.appendChild(chip);
+  }
+
+  const note = document.createElement("textarea");
+  note.rows = 3;
+  note.maxLength = 500;
+  note.placeholder = "e.g. seasonal – back every winter";
+  note.value = info.note ?? "";
+
+  const save = document.createElement("button");
+  save.className = "ytsc-menu__btn ytsc-menu__btn--primary";
+  save.textContent = "Save";
+  save.addEventListener("click", () => {
+    const days = Math.round(Number(threshold.value));
+    const tagList = ytscParseTags(tags.value);
+    document.dispatchEvent(
+      new CustomEvent("ytsc:edit-override", {
+        detail: {
+          channelId,
+          patch: {
+            whitelisted: keep.checked || null,
+            thresholdDays: days >= 1 ? Math.min(days, 3650) : null,
+            note: note.value.trim() || null,
+            tags: tagList.length > 0 ? tagList : null,
+          },
+        },
+      })
+    );
+    ytscCloseBadgeMenu();
+  });
+
+  const cancel = document.createElement("button");
+  cancel.className = "ytsc-menu__btn";
+  cancel.textContent = "Cancel";
+  cancel.addEventListener("click", ytscCloseBadgeMenu);
+
+  const buttons = document.createElement("div");
+  buttons.className = "ytsc-menu__buttons";
+  buttons.append(cancel, save);
+
+  menu.append(
+    keepLabel,
+    ytscMenuField("Inactive after (days)", threshold),
+    ytscMenuField("Tags (comma-separated)", tags),
+    suggestions,
+    ytscMenuField("Note", note),
+    buttons
+  );
+
+  // Fixed to the viewport, so YouTube's card layout can't clip it
+  const rect = anchor.getBoundingClientRect();
+  menu.style.top = `${Math.min(rect.bottom + 4, window.innerHeight - 340)}px`;
+  menu.style.left = `${Math.min(rect.left, window.innerWidth - 280)}px`;
+  document.body.appendChild(menu);
+  threshold.focus();
+
+  document.addEventListener("mousedown", ytscMenuOutsideClick, true);
+  document.addEventListener("keydown", ytscMenuEscape, true);
+}
@@ -1,22 +1,56 @@
 /**
  * content_script.js – Main orchestration for YT Subscriptions Cleaner.
  *
- * Plain IIFE (no ES modules). Relies on globals defined in dom.js and render.js
- * which are loaded before this file via the manifest content_scripts array.
+ * Plain IIFE (no ES modules). Relies on globals defined in dom.js, render.js,
+ * unsubscribe.js, selection.js, badgeMenu.js, sort.js, filterBar.js, panel.js
+ * and keyboard.js, which are loaded before this file via the manifest
+ * content_scripts array.
  *
  * Responsibilities:
- *   1. Scan channel cards on load and attach upload-age badges
+ *   1. Scan channel cards on load and attach upload-age badges, one by one
+ *      as the background streams the results in; stop a scan on request
  *   2. Watch for new cards (lazy loading / SPA navigation) via MutationObserver
  *   3. Listen for SCAN_NOW messages from the popup
+ *   4. Run the assisted unsubscribe queue for flagged channels
+ *   5. Own the card selection and run bulk actions on it
+ *   6. Collect the page's channel list for snapshots
+ *   7. Hide cards that don't match the tag / status filter, and sort the grid
+ *   8. Keep the floating summary panel up to date
+ *   9. Run keyboard shortcuts (in-page keys and chrome.commands)
  */
 
 /* global
   ytscFindChannelCards,
+  ytscIsListComplete,
   ytscExtractChannelId,
   ytscExtractHandle,
+  ytscExtractChannelName,
+  ytscExtractAvatarUrl,
   ytscAttachBadge,
   ytscAttachActionButton,
-  ytscShowNotice
+  ytscDownloadFile,
+  ytscShowNotice,
+  ytscIsFlagged,
+  ytscStatusOf,
+  ytscSetTiers,
+  ytscCountByTier,
+  ytscRunUnsubscribeQueue,
+  ytscIsSubscribed,
+  ytscAttachCheckbox,
+  ytscRenderActionBar,
+  ytscSetKnownTags,
+  ytscRenderFilterBar,
+  ytscTiers,
+  ytscCompareForSort,
+  ytscIsCollapsible,
+  ytscApplyCardOrder,
+  ytscClearCardOrder,
+  ytscRenderPanel,
+  ytscRemovePanel,
+  ytscHighlightCard,
+  ytscInstallKeyBindings,
+  ytscToggleShortcutHelp,
+  ytscFocusCard
 */
 
 (function () {
@@ -26,19 +60,116 @@
   const STATE = {
     scanning: false,
     lastScanAt: null,
-    summary: { total: 0, inactive: 0 },
+    summary: { total: 0, inactive: 0, tiers: [] },
+    results: {}, // channelId → info from the last scan/retry
+    unsubscribing: false,
+    stopUnsubscribe: false,
+    selected: new Set(), // channelIds
+    lastSelectedId: null, // anchor for shift-click ranges
+    filter: { statuses: new Set(), tags: new Set() }, // empty = show all
+    sort: { by: "none", collapseActive: false },
+    panelCollapsed: false,
+    scanPort: null, // while a page scan streams its results; takes CANCEL
+    cancelling: false,
+    // One per visit of the channels page, so the background can tell which
+    // cached channels stopped showing up
+    visit: String(Date.now()),
   };
 
+  const DAY_MS = 24 * 60 * 60 * 1000;
+
+  /** Returns a map: channelId → card for every card that has an ID. */
+  function cardsById() {
+    const map = {};
+    for (const card of ytscFindChannelCards()) {
+      const channelId = ytscExtractChannelId(card);
+      if (channelId) map[channelId] = card;
+    }
+    return map;
+  }
+
+  /** Channel metadata read off a card, stored with the cache entry. */
+  function cardMeta(card) {
+    return {
+      title: ytscExtractChannelName(card),
+      handle: ytscExtractHandle(card),
+      avatarUrl: ytscExtractAvatarUrl(card),
+    };
+  }
+
+  /** Badge, action button and checkbox for one card's result. */
+  function renderResult(card, channelId, info) {
+    STATE.results[channelId] = info;
+    ytscAttachBadge(card, info);
+    if (ytscIsFlagged(info)) {
+      ytscAttachActionButton(card, info);
+    } else {
+      card.querySelector(".ytsc-unsubscribe-btn")?.remove();
+    }
+    ytscAttachCheckbox(card, STATE.selected.has(channelId));
+  }
+
   // ── Core scan ──────────────────────────────────────────────────────────
+  /**
+   * Runs SCAN_CHANNELS over a "ytsc-scan" port (see service_worker.js), so
+   * each channel's result arrives on its own as soon as the background has
+   * it. Resolves with the full response a SCAN_CHANNELS message would get –
+   * `cancelled`, with only the channels checked so far, after cancelScan().
+   * @param {object}   request   – { channelIds, bypassCache, meta, visit, complete }
+   * @param {Function} onResult  – (channelId, info) => void
+   */
+  function scanOverPort(request, onResult) {
+    return new Promise((resolve, reject) => {
+      const port = chrome.runtime.connect({ name: "ytsc-scan" });
+      const finish = () => {
+        STATE.scanPort = null;
+        STATE.cancelling = false;
+      };
+      STATE.scanPort = port;
+      port.onMessage.addListener((msg) => {
+        if (msg.type === "STARTED") {
+          ytscSetTiers(msg.tiers);
+        } else if (msg.type === "RESULT") {
+          onResult(msg.channelId, msg.info);
+        } else if (msg.type === "PROGRESS") {
+          schedulePanelUpdate();
+        } else if (msg.type === "DONE") {
+          finish();
+          port.disconnect();
+          resolve(msg);
+        }
+      });
+      // Background restarted or extension reloaded mid-scan
+      port.onDisconnect.addListener(() => {
+        finish();
+        reject(new Error("Scan connection lost"));
+      });
+      port.postMessage({ type: "START", ...request });
+    });
+  }
+
+  /** Stops the page scan streaming right now; its results so far are kept. */
+  function cancelScan() {
+    if (!STATE.scanPort || STATE.cancelling) return;
+    STATE.cancelling = true;
+    STATE.scanPort.postMessage({ type: "CANCEL" });
+    updatePanel();
+  }
+
   async function scan(bypassCache = false) {
     if (STATE.scanning) return;
     STATE.scanning = true;
-
-    const cards = ytscFindChannelCards();
-    if (cards.length === 0) {
+    try {
+      await scanCards(bypassCache);
+    } finally {
       STATE.scanning = false;
-      return;
+      applyView();
     }
+  }
+
+  async function scanCards(bypassCache) {
+    const cards = ytscFindChannelCards();
+    if (cards.length === 0) return;
 
     // Separate cards by whether the MAIN-world injector has stamped an ID yet
     const channelIds = [];
@@ -59,44 +190,99 @@
     for (const card of Object.values(cardById)) {
       ytscAttachBadge(card, { status: "loading" });
     }
+    updatePanel();
+
+    // Cards without an ID usually only link to /@handle – resolve those
+    // through the background, then stamp the ID ourselves so retry and
+    // re-scans find the card like any other.
+    const cardsByHandle = {}; // handle → card[]
+    const idlessCards = [];   // no ID and no handle
 
-    // For cards without an ID: show "unsupported" only if they have no real badge yet.
-    // On re-scan they might still be unstamped for a moment – don't overwrite good data.
     for (const card of unstampedCards) {
-      if (!card.querySelector(".ytsc-badge--active, .ytsc-badge--inactive, .ytsc-badge--warning")) {
-        ytscAttachBadge(card, { status: "unsupported" });
+      const handle = ytscExtractHandle(card);
+      if (handle) {
+        (cardsByHandle[handle] ??= []).push(card);
+      } else {
+        idlessCards.push(card);
+      }
+    }
+
+    const handles = Object.keys(cardsByHandle);
+    if (handles.length > 0) {
+      let resolved = {};
+      try {
+        const resp = await chrome.runtime.sendMessage({
+          type: "RESOLVE_HANDLES",
+          handles,
+        });
+        if (resp?.ok) resolved = resp.resolved;
+      } catch (_) {
+        // Background unavailable – handled below like an unresolved handle
+      }
+
+      for (const [handle, handleCards] of Object.entries(cardsByHandle)) {
+        const channelId = resolved[handle];
+        for (const card of handleCards) {
+          if (channelId) {
+            card.setAttribute("data-ytsc-channel-id", channelId);
+            channelIds.push(channelId);
+            cardById[channelId] = card;
+            ytscAttachBadge(card, { status: "loading" });
+          } else {
+            attachUnsupported(card, handle);
+          }
+        }
       }
     }
 
+    for (const card of idlessCards) {
+      attachUnsupported(card, null);
+    }
+
     if (channelIds.length === 0) {
-      STATE.scanning = false;
       return;
     }
 
     const uniqueIds = [...new Set(channelIds)];
+    const meta = {};
+    for (const [channelId, card] of Object.entries(cardById)) {
+      meta[channelId] = cardMeta(card);
+    }
+    updatePanel();
 
-    // ── Ask background to fetch data ──────────────────────────────────────
+    // ── Ask background to fetch data, rendering results as they come ─────
     let resp;
     try {
-      resp = await chrome.runtime.sendMessage({
-        type: "SCAN_CHANNELS",
-        channelIds: uniqueIds,
-        bypassCache,
-      });
+      resp = await scanOverPort(
+        {
+          channelIds: uniqueIds,
+          bypassCache,
+          meta,
+          visit: STATE.visit,
+          // Only the full list can tell which cached channels are gone
+          complete: ytscIsListComplete(),
+        },
+        (channelId, info) => {
+          if (cardById[channelId]) renderResult(cardById[channelId], channelId, info);
+        }
+      );
     } catch (e) {
       // Extension reloaded or background unavailable
       for (const card of Object.values(cardById)) {
         ytscAttachBadge(card, { status: "api_error", error: "Extension error – reload the page" });
       }
-      STATE.scanning = false;
       return;
     }
 
     if (!resp?.ok) {
-      if (resp?.error === "MISSING_API_KEY") {
+      if (resp?.error === "MISSING_API_KEY" || resp?.error === "AUTH_REQUIRED") {
+        const action =
+          resp.error === "AUTH_REQUIRED"
+            ? "Sign in with Google in Options"
+            : "Configure your API key in Options";
         ytscShowNotice(
           "⚠️ <strong>YT Subscriptions Cleaner:</strong> " +
-            '<a href="#" id="ytsc-open-options">Configure your API key in Options</a> to see upload ages.',
+            `<a href="#" id="ytsc-open-options">${action}</a> to see upload ages.`,
           "error"
         );
         document
@@ -109,28 +295,573 @@
         for (const card of Object.values(cardById)) {
           card.querySelector(".ytsc-badge")?.remove();
         }
+      } else if (resp?.error === "QUOTA_BUDGET_EXCEEDED") {
+        ytscShowNotice(
+          "⚠️ <strong>YT Subscriptions Cleaner:</strong> " +
+            `This scan needs about ${resp.estimate} API units but only ${resp.remaining} ` +
+            "are left in today's budget. Raise the budget in Options or try again after midnight Pacific time.",
+          "error"
+        );
+        for (const card of Object.values(cardById)) {
+          card.querySelector(".ytsc-badge")?.remove();
+        }
       }
-      STATE.scanning = false;
       return;
     }
 
-    // ── Render results ────────────────────────────────────────────────────
-    let inactive = 0;
+    // ── Render results (again, now with activity histories) ──────────────
+    // A stopped scan leaves some channels out: they get back what they
+    // showed before it started.
+    if (resp.tiers) ytscSetTiers(resp.tiers);
+    const scanned = [];
     for (const [channelId, card] of Object.entries(cardById)) {
       const info = resp.result?.[channelId];
-      if (!info) continue;
+      if (!info) {
+        restoreResult(card, channelId);
+        continue;
+      }
 
-      ytscAttachBadge(card, info);
+      renderResult(card, channelId, info);
+      scanned.push(info);
+    }
 
-      if (info.daysAgo != null && info.daysAgo > info.thresholdDays) {
-        ytscAttachActionButton(card, info);
-        inactive++;
-      }
+    if (resp.cancelled) {
+      ytscShowNotice(
+        "⏹ <strong>YT Subscriptions Cleaner:</strong> " +
+          `Scan stopped – ${scanned.length} of ${uniqueIds.length} channels checked.`,
+        "info"
+      );
     }
 
     STATE.lastScanAt = Date.now();
-    STATE.summary = { total: uniqueIds.length, inactive };
-    STATE.scanning = false;
+    STATE.summary = {
+      total: uniqueIds.length,
+      inactive: scanned.filter(ytscIsFlagged).length,
+      tiers: ytscCountByTier(scanned),
+      cancelled: Boolean(resp.cancelled),
+    };
+    ytscRenderActionBar(STATE.selected.size);
+  }
+
+  // ── Re-check specific channels, bypassing the cache ───────────────────
+  async function recheck(channelIds) {
+    const cards = cardsById();
+    const ids = channelIds.filter((id) => cards[id]);
+    if (ids.length === 0) return;
+
+    for (const id of ids) ytscAttachBadge(cards[id], { status: "loading" });
+    updatePanel();
+
+    const meta = {};
+    for (const id of ids) meta[id] = cardMeta(cards[id]);
+
+    const resp = await chrome.runtime
+      .sendMessage({ type: "SCAN_CHANNELS", channelIds: ids, bypassCache: true, meta })
+      .catch(() => null);
+    if (resp?.tiers) ytscSetTiers(resp.tiers);
+
+    for (const id of ids) {
+      const info = resp?.ok ? resp.result?.[id] : null;
+      if (info) renderResult(cards[id], id, info);
+      else restoreResult(cards[id], id);
+    }
+    applyView();
+  }
+
+  /** Puts back a card's previous result (or no badge) when a check came to nothing. */
+  function restoreResult(card, channelId) {
+    if (STATE.results[channelId]) {
+      renderResult(card, channelId, STATE.results[channelId]);
+    } else {
+      card.querySelector(".ytsc-badge")?.remove();
+    }
+  }
+
+  // Show "unsupported" only if the card has no real badge yet. On re-scan it
+  // might still be unstamped for a moment – don't overwrite good data.
+  function attachUnsupported(card, handle) {
+    const realBadge =
+      ".ytsc-badge--tier, .ytsc-badge--active, .ytsc-badge--inactive, .ytsc-badge--warning";
+    if (!card.querySelector(realBadge)) {
+      ytscAttachBadge(card, { status: "unsupported", handle });
+    }
+  }
+
+  /**
+   * Current settings from the background, or null – with a notice saying so –
+   * when it can't be reached (service worker restarting, extension reloaded).
+   */
+  async function fetchSettings() {
+    try {
+      const resp = await chrome.runtime.sendMessage({ type: "GET_SETTINGS" });
+      if (resp?.ok) return resp.settings;
+    } catch (_) {
+      // Reported below, like a missing response
+    }
+    ytscShowNotice(
+      "⚠️ <strong>YT Subscriptions Cleaner:</strong> " +
+        "The extension isn't responding – reload the page and try again.",
+      "error"
+    );
+    return null;
+  }
+
+  // ── Assisted unsubscribe ───────────────────────────────────────────────
+  function flaggedCards() {
+    return ytscFindChannelCards().filter((card) => {
+      const info = STATE.results[ytscExtractChannelId(card)];
+      return info && ytscIsFlagged(info);
+    });
+  }
+
+  function showUnsubscribeNotice(text, running) {
+    ytscShowNotice(
+      `🧹 <strong>YT Subscriptions Cleaner:</strong> ${text} ` +
+        (running
+          ? '<a href="#" id="ytsc-unsub-action">Stop</a>'
+          : '<a href="#" id="ytsc-unsub-action">Dismiss</a>'),
+      "info"
+    );
+    document
+      .getElementById("ytsc-unsub-action")
+      ?.addEventListener("click", (e) => {
+        e.preventDefault();
+        if (running) {
+          STATE.stopUnsubscribe = true;
+        } else {
+          document.querySelector(".ytsc-notice")?.remove();
+        }
+      });
+  }
+
+  async function startUnsubscribe(cards) {
+    if (STATE.unsubscribing) return { ok: false, error: "ALREADY_RUNNING" };
+    if (cards.length === 0) return { ok: false, error: "EMPTY_QUEUE" };
+
+    const settings = await fetchSettings();
+    if (!settings) return { ok: false, error: "EXTENSION_UNAVAILABLE" };
+    const { unsubscribeDelaySec, unsubscribeDryRun: dryRun } = settings;
+    const mode = dryRun ? " (dry run)" : "";
+
+    STATE.unsubscribing = true;
+    STATE.stopUnsubscribe = false;
+    showUnsubscribeNotice(`Unsubscribing 0 / ${cards.length}${mode}…`, true);
+
+    // Not awaited: the popup that may have asked for this closes long before we finish
+    ytscRunUnsubscribeQueue(cards, {
+      delayMs: unsubscribeDelaySec * 1000,
+      dryRun,
+      shouldStop: () => STATE.stopUnsubscribe,
+      onProgress: ({ index, total, card, outcome }) => {
+        if (outcome === "done") {
+          card.querySelector(".ytsc-unsubscribe-btn")?.remove();
+          setSelected([ytscExtractChannelId(card)], false);
+        }
+        showUnsubscribeNotice(`Unsubscribing ${index} / ${total}${mode}…`, true);
+      },
+    })
+      .then((counts) => {
+        showUnsubscribeNotice(
+          `Unsubscribe ${counts.stopped ? "stopped" : "finished"}${mode}: ` +
+            `${counts.done} done, ${counts.failed} failed, ${counts.skipped} skipped.`,
+          false
+        );
+      })
+      .finally(() => {
+        STATE.unsubscribing = false;
+      });
+
+    return { ok: true, queued: cards.length, dryRun };
+  }
+
+  // ── Selection ──────────────────────────────────────────────────────────
+  function setSelected(channelIds, checked) {
+    const cards = cardsById();
+    for (const id of channelIds) {
+      if (checked) STATE.selected.add(id);
+      else STATE.selected.delete(id);
+      if (cards[id]) ytscAttachCheckbox(cards[id], checked);
+    }
+    ytscRenderActionBar(STATE.selected.size);
+  }
+
+  document.addEventListener("ytsc:select", (e) => {
+    const { channelId, checked, shiftKey } = e.detail;
+    if (!channelId) return;
+
+    let ids = [channelId];
+    if (shiftKey && STATE.lastSelectedId) {
+      // Range in on-screen order (see sort.js), between the anchor and this card
+      const order = ytscFindChannelCards()
+        .sort((a, b) => (Number(a.style.order) || 0) - (Number(b.style.order) || 0))
+        .map(ytscExtractChannelId)
+        .filter(Boolean);
+      const a = order.indexOf(STATE.lastSelectedId);
+      const b = order.indexOf(channelId);
+      if (a !== -1 && b !== -1) {
+        ids = order.slice(Math.min(a, b), Math.max(a, b) + 1);
+      }
+    }
+
+    STATE.lastSelectedId = channelId;
+    setSelected(ids, checked);
+  });
+
+  document.addEventListener("ytsc:select-where", (e) => {
+    const { filter } = e.detail;
+    if (filter === "none") {
+      setSelected([...STATE.selected], false);
+      return;
+    }
+
+    const cards = cardsById();
+    const ids = Object.keys(cards).filter((id) => {
+      const info = STATE.results[id];
+      // Cards hidden by the filter bar are left alone
+      if (!info || cards[id].classList.contains("ytsc-filtered-out")) return false;
+      return filter === "inactive"
+        ? ytscIsFlagged(info)
+        : info.status === filter;
+    });
+    setSelected(ids, true);
+  });
+
+  // ── Bulk actions on the selection ──────────────────────────────────────
+  // For a request the background refused or never answered (restarted, or
+  // the extension was reloaded under the page)
+  function showActionFailed(what) {
+    ytscShowNotice(
+      "⚠️ <strong>YT Subscriptions Cleaner:</strong> " +
+        `Couldn't ${what} – reload the page and try again.`,
+      "error"
+    );
+  }
+
+  async function setOverrides(channelIds, patch) {
+    // Sent along so the background re-tiers them with the new overrides
+    const shown = {};
+    for (const id of channelIds) {
+      if (STATE.results[id]) shown[id] = STATE.results[id];
+    }
+    let resp = null;
+    try {
+      resp = await chrome.runtime.sendMessage({
+        type: "SET_OVERRIDES",
+        channelIds,
+        patch,
+        results: shown,
+      });
+    } catch (_) {
+      // Reported below, like a refusal
+    }
+    if (!resp?.ok) {
+      showActionFailed("update the selected channels");
+      return;
+    }
+
+    const cards = cardsById();
+    for (const [id, info] of Object.entries(resp.results ?? {})) {
+      if (cards[id]) renderResult(cards[id], id, info);
+      else STATE.results[id] = info;
+    }
+    const results = Object.values(STATE.results);
+    STATE.summary.inactive = results.filter(ytscIsFlagged).length;
+    STATE.summary.tiers = ytscCountByTier(results);
+    applyView();
+  }
+
+  async function exportSelection(channelIds) {
+    let resp = null;
+    try {
+      resp = await chrome.runtime.sendMessage({
+        type: "EXPORT_RESULTS",
+        format: "json",
+        channelIds,
+      });
+    } catch (_) {
+      // Reported below, like a refusal
+    }
+    if (resp?.ok) ytscDownloadFile(resp.filename, resp.text, resp.mime);
+    else showActionFailed("export the selected channels");
+  }
+
+  document.addEventListener("ytsc:bulk-action", async (e) => {
+    const ids = [...STATE.selected];
+    if (ids.length === 0) return;
+
+    switch (e.detail.action) {
+      case "whitelist":
+        await setOverrides(ids, { whitelisted: true });
+        break;
+
+      case "snooze": {
+        const settings = await fetchSettings();
+        if (!settings) break;
+        await setOverrides(ids, {
+          snoozedUntil: Date.now() + settings.snoozeDays * DAY_MS,
+        });
+        break;
+      }
+
+      case "recheck":
+        await recheck(ids);
+        break;
+
+      case "open":
+        await chrome.runtime.sendMessage({
+          type: "OPEN_TABS",
+          urls: ids.map((id) => `https://www.youtube.com/channel/${id}`),
+        });
+        break;
+
+      case "export":
+        await exportSelection(ids);
+        break;
+
+      case "unsubscribe": {
+        const cards = cardsById();
+        const resp = await startUnsubscribe(
+          ids.filter((id) => cards[id]).map((id) => cards[id])
+        );
+        if (resp.error === "ALREADY_RUNNING") {
+          showUnsubscribeNotice("An unsubscribe run is already in progress.", false);
+        }
+        break;
+      }
+    }
+  });
+
+  // ── Per-channel settings (badge menu) ───────────────────────────────────
+  document.addEventListener("ytsc:edit-override", (e) => {
+    const { channelId, patch } = e.detail;
+    if (!channelId) return;
+    setOverrides([channelId], patch);
+  });
+
+  // ── Filtering & sorting the grid ───────────────────────────────────────
+  function matchesFilter(info) {
+    const { statuses, tags } = STATE.filter;
+    if (statuses.size > 0 && !statuses.has(ytscStatusOf(info))) return false;
+    if (tags.size > 0 && !(info?.tags ?? []).some((t) => tags.has(t))) return false;
+    return true;
+  }
+
+  /** Reorders the cards for the chosen sort, or restores YouTube's order. */
+  function applySort(cards) {
+    if (STATE.sort.by === "none") {
+      ytscClearCardOrder();
+      return;
+    }
+    const infoOf = (card) => STATE.results[ytscExtractChannelId(card)];
+    // Array.prototype.sort is stable, so ties keep YouTube's order
+    const ordered = [...cards].sort((a, b) =>
+      ytscCompareForSort(STATE.sort.by, infoOf(a), infoOf(b))
+    );
+    ytscApplyCardOrder(ordered);
+  }
+
+  /**
+   * Hides cards the filter or "hide active" leave out, sorts the rest and
+   * redraws the filter bar. Runs after every scan, so it keeps up with lazy
+   * loading and YouTube's re-renders on navigation.
+   */
+  function applyView() {
+    const cards = ytscFindChannelCards();
+    if (cards.length === 0) return;
+
+    const known = new Set();
+    for (const info of Object.values(STATE.results)) {
+      for (const tag of info.tags ?? []) known.add(tag);
+    }
+    const tags = [...known].sort();
+    // A tag filter whose last channel was untagged would hide everything
+    for (const tag of STATE.filter.tags) {
+      if (!known.has(tag)) STATE.filter.tags.delete(tag);
+    }
+
+    let shown = 0;
+    let collapsed = 0;
+    for (const card of cards) {
+      const channelId = ytscExtractChannelId(card);
+      const info = channelId ? STATE.results[channelId] : undefined;
+      const collapse = STATE.sort.collapseActive && ytscIsCollapsible(info);
+      const match = matchesFilter(info) && !collapse;
+      card.classList.toggle("ytsc-filtered-out", !match);
+      if (collapse) collapsed++;
+      if (match) shown++;
+    }
+    applySort(cards);
+
+    updatePanel();
+    ytscSetKnownTags(tags);
+    ytscRenderFilterBar(
+      tags,
+      STATE.filter,
+      { shown, total: cards.length, collapsed },
+      { ...STATE.sort, activeLabel: ytscTiers[0]?.label ?? "Active" }
+    );
+  }
+
+  document.addEventListener("ytsc:filter", (e) => {
+    const { kind, value, active } = e.detail;
+    if (kind === "clear") {
+      STATE.filter.statuses.clear();
+      STATE.filter.tags.clear();
+    } else {
+      const set = kind === "status" ? STATE.filter.statuses : STATE.filter.tags;
+      if (active) set.add(value);
+      else set.delete(value);
+    }
+    applyView();
+  });
+
+  // ── Floating summary panel ─────────────────────────────────────────────
+  function updatePanel() {
+    if (window.location.pathname !== "/feed/channels") return;
+    const cards = ytscFindChannelCards();
+    if (cards.length === 0) return;
+
+    const counts = {};
+    for (const card of cards) {
+      const status = card.querySelector(".ytsc-badge--loading")
+        ? "loading"
+        : ytscStatusOf(STATE.results[ytscExtractChannelId(card)]);
+      counts[status] = (counts[status] ?? 0) + 1;
+    }
+    const progress = {
+      done: cards.length - (counts.loading ?? 0),
+      total: cards.length,
+      scanning: STATE.scanning || counts.loading > 0,
+      cancellable: Boolean(STATE.scanPort),
+      cancelling: STATE.cancelling,
+    };
+    ytscRenderPanel(counts, progress, STATE.panelCollapsed);
+  }
+
+  // At most one panel update per frame while results stream in
+  let panelFrame = 0;
+  function schedulePanelUpdate() {
+    panelFrame ||= requestAnimationFrame(() => {
+      panelFrame = 0;
+      updatePanel();
+    });
+  }
+
+  // ── Jumping between flagged cards ──────────────────────────────────────
+  /** Cards still shown, in on-screen order (see sort.js). */
+  function visibleCards() {
+    return ytscFindChannelCards()
+      .filter((card) => !card.classList.contains("ytsc-filtered-out"))
+      .sort((a, b) => (Number(a.style.order) || 0) - (Number(b.style.order) || 0));
+  }
+
+  /** The card keyboard actions apply to: the one holding focus, or the last one jumped to. */
+  function focusedCard() {
+    return (
+      document.activeElement?.closest?.("ytd-channel-renderer") ??
+      document.querySelector("ytd-channel-renderer.ytsc-focused")
+    );
+  }
+
+  /** Scrolls to the next (1) or previous (-1) flagged card after the focused one. */
+  function jumpFlagged(direction) {
+    const cards = visibleCards();
+    const flagged = cards.filter((card) => {
+      const info = STATE.results[ytscExtractChannelId(card)];
+      return info && ytscIsFlagged(info);
+    });
+    if (flagged.length === 0) return;
+
+    const pos = cards.indexOf(focusedCard());
+    let target;
+    if (direction > 0) {
+      target = flagged.find((card) => cards.indexOf(card) > pos) ?? flagged[0];
+    } else {
+      const before = flagged.filter((card) => pos === -1 || cards.indexOf(card) < pos);
+      target = before[before.length - 1] ?? flagged[flagged.length - 1];
+    }
+    ytscFocusCard(target);
+    ytscHighlightCard(target);
+  }
+
+  document.addEventListener("ytsc:jump-flagged", (e) => jumpFlagged(e.detail.direction));
+
+  document.addEventListener("ytsc:cancel-scan", cancelScan);
+
+  document.addEventListener("ytsc:panel-toggle", (e) => {
+    STATE.panelCollapsed = e.detail.collapsed;
+    chrome.storage.local.set({ panelCollapsed: STATE.panelCollapsed });
+    updatePanel();
+  });
+
+  // Kept across page loads, unlike the filter
+  document.addEventListener("ytsc:sort", (e) => {
+    const { by, collapseActive } = e.detail;
+    STATE.sort = { by, collapseActive };
+    chrome.storage.local.set({ gridSort: STATE.sort });
+    applyView();
+  });
+
+  // ── Keyboard shortcuts ─────────────────────────────────────────────────
+  // From keyboard.js (in-page keys) and the service worker (chrome.commands)
+  async function runShortcut(action) {
+    if (action === "scan") return scan(true);
+    if (action === "next-flagged") return jumpFlagged(1);
+    if (action === "previous-flagged") return jumpFlagged(-1);
+    if (action === "help") return ytscToggleShortcutHelp();
+
+    const card = focusedCard();
+    const channelId = card && ytscExtractChannelId(card);
+    if (!channelId) return;
+    const info = STATE.results[channelId];
+
+    switch (action) {
+      case "keep":
+        if (info) await setOverrides([channelId], { whitelisted: info.whitelisted ? null : true });
+        break;
+
+      case "snooze": {
+        if (!info) break;
+        const snoozed = info.snoozedUntil && info.snoozedUntil > Date.now();
+        const settings = await fetchSettings();
+        if (!settings) break;
+        await setOverrides([channelId], {
+          snoozedUntil: snoozed ? null : Date.now() + settings.snoozeDays * DAY_MS,
+        });
+        break;
+      }
+
+      case "retry":
+        await recheck([channelId]);
+        break;
+
+      case "unsubscribe": {
+        const resp = await startUnsubscribe([card]);
+        if (resp.error === "ALREADY_RUNNING") {
+          showUnsubscribeNotice("An unsubscribe run is already in progress.", false);
+        }
+        break;
+      }
+    }
+  }
+
+  document.addEventListener("ytsc:shortcut", (e) => runShortcut(e.detail.action));
+
+  // ── Snapshots ──────────────────────────────────────────────────────────
+  // Only cards YouTube has rendered so far – the page lazy-loads as you scroll
+  function collectPageChannels() {
+    return ytscFindChannelCards().map((card) => {
+      const channelId = ytscExtractChannelId(card);
+      const info = channelId ? STATE.results[channelId] : null;
+      return {
+        channelId,
+        handle: ytscExtractHandle(card),
+        name: ytscExtractChannelName(card),
+        status: info?.status ?? null,
+        flagged: info ? ytscIsFlagged(info) : false,
+        subscribed: ytscIsSubscribed(card),
+      };
+    });
   }
 
   // ── Debounced re-scan (for MutationObserver) ───────────────────────────
@@ -151,6 +882,9 @@
             tag === "ytd-channel-renderer" ||
             node.querySelector?.("ytd-channel-renderer")
           ) {
+            // A sorted grid would show the new batch at the bottom, unsorted,
+            // until the scan is done – slot the cards in right away
+            if (STATE.sort.by !== "none") applySort(ytscFindChannelCards());
             scheduleScan();
             return;
           }
@@ -163,7 +897,10 @@
     // YouTube SPA navigation fires this custom event on every route change
     window.addEventListener("yt-navigate-finish", () => {
       if (window.location.pathname === "/feed/channels") {
+        STATE.visit = String(Date.now());
         scheduleScan();
+      } else {
+        ytscRemovePanel();
       }
     });
   }
@@ -176,15 +913,43 @@
           ok: true,
           summary: STATE.summary,
           lastScanAt: STATE.lastScanAt,
+          cancelled: Boolean(STATE.summary.cancelled),
         });
       });
       return true; // async response
     }
 
+    if (msg?.type === "UNSUBSCRIBE_FLAGGED") {
+      startUnsubscribe(flaggedCards()).then(sendResponse);
+      return true; // async response
+    }
+
+    if (msg?.type === "STOP_UNSUBSCRIBE") {
+      STATE.stopUnsubscribe = true;
+      sendResponse({ ok: true });
+    }
+
+    if (msg?.type === "TAKE_SNAPSHOT") {
+      chrome.runtime
+        .sendMessage({ type: "SAVE_SNAPSHOT", channels: collectPageChannels() })
+        .then(sendResponse, (e) => sendResponse({ ok: false, error: e.message }));
+      return true; // async response
+    }
+
+    if (msg?.type === "GET_PAGE_CHANNELS") {
+      sendResponse({ ok: true, channels: collectPageChannels() });
+    }
+
+    if (msg?.type === "RUN_SHORTCUT") {
+      runShortcut(msg.action);
+      sendResponse({ ok: true });
+    }
+
     if (msg?.type === "GET_STATE") {
       sendResponse({
         ok: true,
         scanning: STATE.scanning,
+        unsubscribing: STATE.unsubscribing,
         summary: STATE.summary,
         lastScanAt: STATE.lastScanAt,
       });
@@ -195,27 +960,7 @@
   document.addEventListener("ytsc:retry", (e) => {
     const { channelId } = e.detail;
     if (!channelId) return;
-    const card = ytscFindChannelCards().find(
-      (c) => ytscExtractChannelId(c) === channelId
-    );
-    if (card) {
-      ytscAttachBadge(card, { status: "loading" });
-      chrome.runtime
-        .sendMessage({
-          type: "SCAN_CHANNELS",
-          channelIds: [channelId],
-          bypassCache: true,
-        })
-        .then((resp) => {
-          if (!resp?.ok) return;
-          const info = resp.result?.[channelId];
-          if (!info) return;
-          ytscAttachBadge(card, info);
-          if (info.daysAgo != null && info.daysAgo > info.thresholdDays) {
-            ytscAttachActionButton(card, info);
-          }
-        });
-    }
+    recheck([channelId]);
   });
 
   // ── Listen for MAIN-world injector signalling IDs are ready ──────────
@@ -225,6 +970,14 @@
   document.addEventListener("ytsc:ids-ready", () => scheduleScan());
 
   // ── Boot ───────────────────────────────────────────────────────────────
+  chrome.storage.local
+    .get(["gridSort", "panelCollapsed"])
+    .then(({ gridSort, panelCollapsed = false }) => {
+      if (gridSort) STATE.sort = gridSort;
+      STATE.panelCollapsed = panelCollapsed;
+      if (!STATE.scanning) applyView();
+    });
+
   // Also do an immediate scan in case the injector already ran and stamped
   // IDs before our listener was registered (race on document_idle).
   if (document.readyState === "loading") {
@@ -233,4 +986,5 @@
     scan();
   }
   startObservers();
+  ytscInstallKeyBindings();
 })();
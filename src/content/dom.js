@@ -8,7 +8,7 @@
  * subsequently-loaded content scripts in the same isolated world.
  */
 
-/* global ytscFormatDaysAgo */
+/* global ytscFormatDaysAgo, ytscFormatCadence, ytscFormatLastByKind, ytscFormatHistory, ytscIsFlagged, ytscOpenBadgeMenu */
 
 // ---------------------------------------------------------------------------
 // Finding channel cards
@@ -22,6 +22,28 @@ function ytscFindChannelCards() {
   return Array.from(document.querySelectorAll("ytd-channel-renderer"));
 }
 
+/**
+ * Returns the element wrapping the channel card list – the section list
+ * that holds the cards, or failing that the first card's parent.
+ * @returns {Element|null}
+ */
+function ytscFindCardGrid() {
+  const first = document.querySelector("ytd-channel-renderer");
+  if (!first) return null;
+  return first.closest("ytd-section-list-renderer") || first.parentElement;
+}
+
+/**
+ * Whether YouTube has loaded the whole subscription list. Until the last
+ * page is in, the list ends in a continuation item – the spinner that
+ * fetches the next page when scrolled into view.
+ * @returns {boolean}
+ */
+function ytscIsListComplete() {
+  const grid = ytscFindCardGrid();
+  return Boolean(grid) && !grid.querySelector("ytd-continuation-item-renderer");
+}
+
 // ---------------------------------------------------------------------------
 // Extracting channel IDs from cards
 // ---------------------------------------------------------------------------
@@ -57,6 +79,7 @@ function ytscExtractChannelId(card) {
 
 /**
  * Extracts a @handle from a card element if no /channel/UC... link exists.
+ * Non-ASCII handles appear percent-encoded in hrefs, so they are decoded.
  * @param {Element} card
  * @returns {string|null}  e.g. "@mkbhd"
  */
@@ -64,12 +87,41 @@ function ytscExtractHandle(card) {
   const links = card.querySelectorAll("a[href]");
   for (const link of links) {
     const href = link.getAttribute("href") || "";
-    const m = href.match(/^\/@([\w.-]+)/);
-    if (m) return `@${m[1]}`;
+    const m = href.match(/^\/@([\w.%-]+)/);
+    if (!m) continue;
+    try {
+      return `@${decodeURIComponent(m[1])}`;
+    } catch (_) {
+      return `@${m[1]}`;
+    }
   }
   return null;
 }
 
+/**
+ * Extracts the channel's display name from a card element.
+ * @param {Element} card
+ * @returns {string|null}
+ */
+function ytscExtractChannelName(card) {
+  const el =
+    card.querySelector("#channel-title #text") ||
+    card.querySelector("#channel-title") ||
+    card.querySelector("#text.ytd-channel-name");
+  return el?.textContent.trim() || null;
+}
+
+/**
+ * Extracts the channel's avatar image URL from a card element.
+ * Avatars are lazy-loaded, so this is null for cards not yet scrolled into view.
+ * @param {Element} card
+ * @returns {string|null}
+ */
+function ytscExtractAvatarUrl(card) {
+  const src = card.querySelector("#avatar img, yt-img-shadow img")?.getAttribute("src");
+  return src?.startsWith("http") ? src : null;
+}
+
 // ---------------------------------------------------------------------------
 // Finding a good insertion point inside a card
 // ---------------------------------------------------------------------------
@@ -98,7 +150,8 @@ function ytscGetInfoEl(card) {
  * Attaches (or replaces) a status badge on a channel card.
  *
  * @param {Element} card
- * @param {object}  info  – { status, daysAgo, thresholdDays, error? }
+ * @param {object}  info  – { status, daysAgo, thresholdDays, whitelisted?, snoozedUntil?,
+ *                            customThresholdDays?, note?, tags?, history?, error? }
  */
 function ytscAttachBadge(card, info) {
   // Remove any existing badge first
@@ -128,26 +181,112 @@ function ytscAttachBadge(card, info) {
   } else if (info.status === "quota_exceeded") {
     badge.classList.add("ytsc-badge--error");
     badge.textContent = "Quota exceeded – try tomorrow";
+  } else if (info.status === "over_budget") {
+    badge.classList.add("ytsc-badge--warning");
+    badge.textContent = "Skipped – daily budget reached";
+    badge.title = "Not checked to stay within the daily quota budget set in Options";
   } else if (info.status === "no_uploads") {
     badge.classList.add("ytsc-badge--warning");
     badge.textContent = "No uploads found";
   } else if (info.status === "unsupported") {
     badge.classList.add("ytsc-badge--unsupported");
-    badge.textContent = "Handle-only (V2)";
-    badge.title = "Channel ID resolution for @handle URLs coming in V2";
+    badge.textContent = "Channel ID unavailable";
+    badge.title = info.handle
+      ? `Could not resolve ${info.handle} to a channel ID`
+      : "No channel ID or @handle found on this card";
   } else if (info.status === "ok" && info.daysAgo != null) {
-    const inactive = info.daysAgo > info.thresholdDays;
-    badge.classList.add(inactive ? "ytsc-badge--inactive" : "ytsc-badge--active");
-    badge.textContent = ytscFormatDaysAgo(info.daysAgo);
-    if (inactive) badge.title = "Inactive beyond threshold";
+    const tier = info.tier;
+    const pastThreshold = tier?.flag || info.goingQuiet;
+    const flagged = ytscIsFlagged(info);
+    const snoozed = info.snoozedUntil && info.snoozedUntil > Date.now();
+
+    if (pastThreshold && !flagged) {
+      // In a flagged tier but kept on purpose: neutral rather than colored
+      badge.classList.add("ytsc-badge--kept");
+    } else if (tier) {
+      badge.classList.add("ytsc-badge--tier");
+      badge.style.setProperty("--ytsc-tier-color", tier.color);
+    } else {
+      badge.classList.add(flagged ? "ytsc-badge--inactive" : "ytsc-badge--active");
+    }
+    if (flagged) badge.classList.add("ytsc-badge--flagged");
+    // Going quiet only matters while no flagged tier has caught up
+    badge.textContent =
+      info.goingQuiet && !tier?.flag
+        ? ytscFormatCadence(info)
+        : ytscFormatDaysAgo(info.daysAgo, info.daysAgoAtLeast);
+    if (tier) badge.textContent = `${tier.label} · ${badge.textContent}`;
+
+    if (info.whitelisted) {
+      badge.textContent += " · kept";
+      badge.title = "Whitelisted – never flagged";
+    } else if (snoozed) {
+      badge.textContent += " · snoozed";
+      badge.title = `Snoozed until ${new Date(info.snoozedUntil).toLocaleDateString()}`;
+    } else if (flagged) {
+      badge.title = ytscFlagReason(info);
+    } else if (info.typicalIntervalDays) {
+      badge.title = `Usually uploads every ${info.typicalIntervalDays} day(s)`;
+    }
+    if (info.lastByKind) {
+      badge.title = [badge.title, ytscFormatLastByKind(info.lastByKind)]
+        .filter(Boolean)
+        .join("\n");
+    }
   } else {
     badge.classList.add("ytsc-badge--warning");
     badge.textContent = "Unknown";
   }
 
+  // Per-channel settings only make sense once there is something to judge
+  if (info.status === "ok" || info.status === "no_uploads") {
+    const details = [];
+    if (info.customThresholdDays) {
+      details.push(`Inactive after ${info.customThresholdDays} days (custom)`);
+    }
+    if (info.note) {
+      details.push(`Note: ${info.note}`);
+      badge.textContent += " · ✎";
+    }
+    if (info.history) details.push(ytscFormatHistory(info.history));
+    badge.title = [badge.title, ...details].filter(Boolean).join("\n");
+    for (const tag of info.tags ?? []) {
+      const chip = document.createElement("span");
+      chip.className = "ytsc-badge__tag";
+      chip.textContent = `#${tag}`;
+      badge.appendChild(chip);
+    }
+    badge.appendChild(ytscBadgeMenuButton(card, info));
+  }
+
   ytscGetInfoEl(card).appendChild(badge);
 }
 
+/**
+ * Why a channel is flagged, for tooltips: its flagged tier, or gone quiet.
+ * @param {object} info
+ * @returns {string}
+ */
+function ytscFlagReason(info) {
+  return info.tier?.flag
+    ? `${info.tier.label}: inactive beyond threshold`
+    : "Gone quiet: silent far longer than its usual upload interval";
+}
+
+function ytscBadgeMenuButton(card, info) {
+  const btn = document.createElement("button");
+  btn.className = "ytsc-badge__menu";
+  btn.textContent = "⋮";
+  btn.title = "Channel settings: never flag, custom threshold, note, tags";
+  btn.setAttribute("aria-haspopup", "dialog");
+  btn.addEventListener("click", (e) => {
+    e.preventDefault();
+    e.stopPropagation();
+    ytscOpenBadgeMenu(card, btn, info);
+  });
+  return btn;
+}
+
 // ---------------------------------------------------------------------------
 // Attaching the "Consider Unsubscribing" action button
 // ---------------------------------------------------------------------------
@@ -165,7 +304,7 @@ function ytscAttachActionButton(card, info) {
   const btn = document.createElement("button");
   btn.className = "ytsc-unsubscribe-btn";
   btn.textContent = "Consider Unsubscribing";
-  btn.title = `Last upload ${info.daysAgo} days ago – inactive beyond ${info.thresholdDays}-day threshold`;
+  btn.title = `Last upload ${info.daysAgo} days ago – ${ytscFlagReason(info)}`;
 
   btn.addEventListener("click", (e) => {
     e.preventDefault();
@@ -179,6 +318,29 @@ function ytscAttachActionButton(card, info) {
   ytscGetInfoEl(card).appendChild(btn);
 }
 
+// ---------------------------------------------------------------------------
+// File download
+// ---------------------------------------------------------------------------
+
+/**
+ * Saves `text` as a file through a temporary object URL. The extension
+ * pages use shared/download.js; content scripts can't import it without
+ * making it web-accessible, and so detectable, to every YouTube page.
+ * @param {string} filename
+ * @param {string} text
+ * @param {string} mime
+ */
+function ytscDownloadFile(filename, text, mime) {
+  const url = URL.createObjectURL(new Blob([text], { type: mime }));
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
 // ---------------------------------------------------------------------------
 // Page-level notice (e.g. "configure API key")
 // ---------------------------------------------------------------------------
@@ -0,0 +1,136 @@
+/**
+ * filterBar.js – Tag / status filter bar for YT Subscriptions Cleaner.
+ *
+ * Plain script (no ES modules), loaded after dom.js and sort.js. Renders a
+ * bar above the channel grid with a toggle chip per status and per tag, and
+ * the sort controls. Like the selection bar it only dispatches events on
+ * document; content_script.js owns the filter and sort state and hides or
+ * reorders the cards:
+ *
+ *   ytsc:filter { kind: "status" | "tag", value, active }
+ *   ytsc:filter { kind: "clear" }
+ *   ytsc:sort   { by, collapseActive }
+ *
+ * Within a group chips are OR-ed; status and tags are AND-ed.
+ */
+
+/* global ytscFindCardGrid, YTSC_SORTS */
+
+const YTSC_FILTER_STATUSES = [
+  ["active", "Active"],
+  ["inactive", "Inactive"],
+  ["kept", "Kept"],
+  ["no_uploads", "No uploads"],
+  ["error", "Errors"],
+  ["unchecked", "Not checked"],
+];
+
+function ytscFilterChip(label, detail, active) {
+  const chip = document.createElement("button");
+  chip.className = "ytsc-filter-bar__chip";
+  chip.textContent = label;
+  chip.setAttribute("aria-pressed", String(active));
+  chip.addEventListener("click", () => {
+    document.dispatchEvent(
+      new CustomEvent("ytsc:filter", { detail: { ...detail, active: !active } })
+    );
+  });
+  return chip;
+}
+
+function ytscFilterGroup(label, chips) {
+  const group = document.createElement("div");
+  group.className = "ytsc-filter-bar__group";
+  const title = document.createElement("span");
+  title.className = "ytsc-filter-bar__label";
+  title.textContent = label;
+  group.append(title, ...chips);
+  return group;
+}
+
+function ytscSortGroup(sort, collapsed) {
+  const emit = (patch) => {
+    const detail = { by: sort.by, collapseActive: sort.collapseActive, ...patch };
+    document.dispatchEvent(new CustomEvent("ytsc:sort", { detail }));
+  };
+
+  const select = document.createElement("select");
+  select.className = "ytsc-filter-bar__select";
+  for (const [value, label] of YTSC_SORTS) {
+    select.add(new Option(label, value, false, value === sort.by));
+  }
+  select.addEventListener("change", () => emit({ by: select.value }));
+
+  const collapse = document.createElement("input");
+  collapse.type = "checkbox";
+  collapse.checked = sort.collapseActive;
+  collapse.addEventListener("change", () => emit({ collapseActive: collapse.checked }));
+  const collapseLabel = document.createElement("label");
+  collapseLabel.className = "ytsc-filter-bar__check";
+  collapseLabel.append(
+    collapse,
+    sort.collapseActive ? `Hide ${sort.activeLabel} (${collapsed})` : `Hide ${sort.activeLabel}`
+  );
+
+  return ytscFilterGroup("Sort:", [select, collapseLabel]);
+}
+
+/**
+ * Shows (or updates) the filter bar above the channel grid.
+ *
+ * @param {string[]} tags    – every tag used on the page, sorted
+ * @param {object}   filter  – { statuses: Set<string>, tags: Set<string> }
+ * @param {object}   counts  – { shown, total, collapsed }
+ * @param {object}   sort    – { by, collapseActive, activeLabel }
+ */
+function ytscRenderFilterBar(tags, filter, counts, sort) {
+  const grid = ytscFindCardGrid();
+  if (!grid) return;
+
+  let bar = document.querySelector(".ytsc-filter-bar");
+  if (!bar) {
+    bar = document.createElement("div");
+    bar.className = "ytsc-filter-bar";
+  }
+  // YouTube re-renders the grid on navigation; keep the bar right above it
+  if (bar.nextElementSibling !== grid) grid.before(bar);
+
+  const statusChips = YTSC_FILTER_STATUSES.map(([value, label]) =>
+    ytscFilterChip(label, { kind: "status", value }, filter.statuses.has(value))
+  );
+
+  const tagChips = tags.map((tag) =>
+    ytscFilterChip(`#${tag}`, { kind: "tag", value: tag }, filter.tags.has(tag))
+  );
+  if (tagChips.length === 0) {
+    const hint = document.createElement("span");
+    hint.className = "ytsc-filter-bar__hint";
+    hint.textContent = "Add tags from the ⋮ menu on a badge";
+    tagChips.push(hint);
+  }
+
+  const summary = document.createElement("span");
+  summary.className = "ytsc-filter-bar__count";
+  summary.textContent =
+    counts.shown === counts.total
+      ? `${counts.total} channels`
+      : `Showing ${counts.shown} of ${counts.total}`;
+
+  const children = [
+    ytscFilterGroup("Status:", statusChips),
+    ytscFilterGroup("Tags:", tagChips),
+    ytscSortGroup(sort, counts.collapsed),
+    summary,
+  ];
+  if (filter.statuses.size > 0 || filter.tags.size > 0) {
+    const clear = document.createElement("button");
+    clear.className = "ytsc-filter-bar__clear";
+    clear.textContent = "Clear filters";
+    clear.addEventListener("click", () => {
+      document.dispatchEvent(new CustomEvent("ytsc:filter", { detail: { kind: "clear" } }));
+    });
+    children.push(clear);
+  }
+
+  bar.replaceChildren(...children);
+}
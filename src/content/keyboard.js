@@ -0,0 +1,99 @@
+/**
+ * keyboard.js – In-page keyboard shortcuts for YT Subscriptions Cleaner.
+ *
+ * Plain script (no ES modules), loaded after dom.js. Maps single keys to
+ * review actions and dispatches them on document; content_script.js carries
+ * them out, the same way it runs the browser-level shortcuts registered as
+ * chrome.commands (those arrive as RUN_SHORTCUT messages):
+ *
+ *   ytsc:shortcut { action }  – one of the values of YTSC_KEY_BINDINGS
+ *
+ * Keys are ignored while typing in a field, when Ctrl, Alt or Meta is held
+ * and on any page but the channels list (the script stays loaded after
+ * YouTube's in-app navigation), so YouTube's own shortcuts and the browser's
+ * keep working.
+ */
+
+/* global ytscShowNotice */
+
+const YTSC_KEY_BINDINGS = {
+  j: "next-flagged",
+  k: "previous-flagged",
+  w: "keep",
+  s: "snooze",
+  u: "unsubscribe",
+  r: "retry",
+  R: "scan",
+  h: "help",
+};
+
+const YTSC_SHORTCUT_HELP = [
+  ["j / k", "next / previous flagged channel"],
+  ["w", "keep (never flag) the focused channel – again to undo"],
+  ["s", "snooze the focused channel – again to undo"],
+  ["u", "unsubscribe from the focused channel (honours dry run)"],
+  ["r", "re-check the focused channel, e.g. after an API error"],
+  ["Shift+R", "re-scan the page, bypassing the cache"],
+  ["h", "show / hide this help"],
+];
+
+const YTSC_EDITABLE = 'input, textarea, select, [contenteditable], [role="textbox"]';
+
+/**
+ * Whether a key event comes from a text field. YouTube's search box and
+ * comment fields sit inside custom elements and shadow roots, where
+ * e.target is only the outermost host by the time the event reaches the
+ * document, so the whole composed path is checked.
+ * @param {KeyboardEvent} e
+ */
+function ytscIsTyping(e) {
+  return e.composedPath().some(
+    (node) =>
+      node instanceof Element && (node.isContentEditable || node.matches(YTSC_EDITABLE))
+  );
+}
+
+function ytscHandleShortcutKey(e) {
+  if (window.location.pathname !== "/feed/channels") return;
+  if (e.ctrlKey || e.altKey || e.metaKey || ytscIsTyping(e)) return;
+  const action = YTSC_KEY_BINDINGS[e.key];
+  if (!action) return;
+
+  e.preventDefault();
+  e.stopPropagation();
+  document.dispatchEvent(new CustomEvent("ytsc:shortcut", { detail: { action } }));
+}
+
+/** Starts listening for shortcut keys. */
+function ytscInstallKeyBindings() {
+  // Capture phase, ahead of YouTube's own key handlers
+  document.addEventListener("keydown", ytscHandleShortcutKey, true);
+}
+
+/** Lists the shortcuts in the notice banner, or hides the list again. */
+function ytscToggleShortcutHelp() {
+  const shown = document.querySelector(".ytsc-notice--help");
+  if (shown) {
+    shown.remove();
+    return;
+  }
+  const rows = YTSC_SHORTCUT_HELP
+    .map(([keys, what]) => `<kbd>${keys}</kbd> ${what}`)
+    .join(" · ");
+  ytscShowNotice(`⌨️ <strong>YT Subscriptions Cleaner shortcuts:</strong> ${rows}`, "info");
+  document.querySelector(".ytsc-notice")?.classList.add("ytsc-notice--help");
+}
+
+/**
+ * Marks the card keyboard actions apply to: outlined, and focused so Tab
+ * continues from it.
+ * @param {Element} card
+ */
+function ytscFocusCard(card) {
+  for (const el of document.querySelectorAll(".ytsc-focused")) {
+    if (el !== card) el.classList.remove("ytsc-focused");
+  }
+  card.classList.add("ytsc-focused");
+  if (!card.hasAttribute("tabindex")) card.tabIndex = -1;
+  card.focus({ preventScroll: true });
+}
@@ -0,0 +1,142 @@
+/**
+ * panel.js – Floating summary panel for YT Subscriptions Cleaner.
+ *
+ * Plain script (no ES modules), loaded after dom.js. A fixed-position box in
+ * the bottom-right corner (fixed like ytscShowNotice, so YouTube's layout
+ * can't move it) with live counts per status, a progress bar while a scan
+ * runs (with a Stop button for scans the page started) and buttons to step
+ * through flagged cards. It only dispatches events on document;
+ * content_script.js keeps the counts, does the scrolling and stops scans:
+ *
+ *   ytsc:jump-flagged { direction }  – 1 = next, -1 = previous
+ *   ytsc:panel-toggle { collapsed }
+ *   ytsc:cancel-scan
+ */
+
+const YTSC_PANEL_ROWS = [
+  ["loading", "Checking"],
+  ["active", "Active"],
+  ["inactive", "Inactive"],
+  ["kept", "Kept"],
+  ["no_uploads", "No uploads"],
+  ["error", "Errors"],
+];
+
+function ytscPanelButton(label, title, onClick) {
+  const btn = document.createElement("button");
+  btn.className = "ytsc-panel__btn";
+  btn.textContent = label;
+  btn.title = title;
+  btn.addEventListener("click", onClick);
+  return btn;
+}
+
+function ytscJumpEvent(direction) {
+  document.dispatchEvent(new CustomEvent("ytsc:jump-flagged", { detail: { direction } }));
+}
+
+/**
+ * Shows (or updates) the panel.
+ *
+ * @param {object}  counts    – status → number of cards, keys of YTSC_PANEL_ROWS
+ * @param {object}  progress  – { done, total, scanning, cancellable, cancelling }
+ * @param {boolean} collapsed – only the header line is shown
+ */
+function ytscRenderPanel(counts, progress, collapsed) {
+  let panel = document.querySelector(".ytsc-panel");
+  if (!panel) {
+    panel = document.createElement("div");
+    panel.className = "ytsc-panel";
+    panel.setAttribute("role", "region");
+    panel.setAttribute("aria-label", "Subscriptions Cleaner summary");
+    document.body.appendChild(panel);
+  }
+  panel.classList.toggle("ytsc-panel--collapsed", collapsed);
+
+  const header = document.createElement("div");
+  header.className = "ytsc-panel__header";
+  const title = document.createElement("span");
+  title.className = "ytsc-panel__title";
+  title.textContent = collapsed
+    ? `${counts.inactive ?? 0} inactive of ${progress.total}`
+    : "Subscriptions Cleaner";
+  const toggle = ytscPanelButton(
+    collapsed ? "▴" : "▾",
+    collapsed ? "Expand" : "Collapse",
+    () => {
+      document.dispatchEvent(
+        new CustomEvent("ytsc:panel-toggle", { detail: { collapsed: !collapsed } })
+      );
+    }
+  );
+  toggle.setAttribute("aria-expanded", String(!collapsed));
+  header.append(title, toggle);
+
+  if (collapsed) {
+    panel.replaceChildren(header);
+    return;
+  }
+
+  const list = document.createElement("dl");
+  list.className = "ytsc-panel__counts";
+  for (const [status, label] of YTSC_PANEL_ROWS) {
+    // Checking / kept / errors only while there are any
+    if (!counts[status] && ["loading", "kept", "error"].includes(status)) continue;
+    const dt = document.createElement("dt");
+    dt.textContent = label;
+    const dd = document.createElement("dd");
+    dd.className = `ytsc-panel__count ytsc-panel__count--${status}`;
+    dd.textContent = counts[status] ?? 0;
+    list.append(dt, dd);
+  }
+
+  const children = [header, list];
+  if (progress.scanning) {
+    const row = document.createElement("div");
+    row.className = "ytsc-panel__scan";
+    const bar = document.createElement("progress");
+    bar.className = "ytsc-panel__progress";
+    bar.max = progress.total || 1;
+    bar.value = progress.done;
+    bar.title = `${progress.done} of ${progress.total} checked`;
+    row.append(bar);
+    if (progress.cancellable) {
+      const stop = ytscPanelButton(
+        progress.cancelling ? "Stopping…" : "Stop",
+        "Stop the scan and keep the results so far",
+        () => document.dispatchEvent(new CustomEvent("ytsc:cancel-scan"))
+      );
+      stop.disabled = Boolean(progress.cancelling);
+      row.append(stop);
+    }
+    children.push(row);
+  }
+
+  const nav = document.createElement("div");
+  nav.className = "ytsc-panel__nav";
+  const prev = ytscPanelButton("↑ Prev", "Previous flagged channel", () => ytscJumpEvent(-1));
+  const next = ytscPanelButton("Next ↓", "Next flagged channel", () => ytscJumpEvent(1));
+  prev.disabled = next.disabled = !counts.inactive;
+  nav.append(prev, next);
+  children.push(nav);
+
+  panel.replaceChildren(...children);
+}
+
+/** Removes the panel, e.g. after navigating away from the channels page. */
+function ytscRemovePanel() {
+  document.querySelector(".ytsc-panel")?.remove();
+}
+
+/**
+ * Scrolls a card into view and flashes a highlight around it.
+ * @param {Element} card
+ */
+function ytscHighlightCard(card) {
+  card.scrollIntoView({ behavior: "smooth", block: "center" });
+  card.classList.remove("ytsc-highlight");
+  // Restart the animation when the same card is picked twice in a row
+  void card.offsetWidth;
+  card.classList.add("ytsc-highlight");
+  setTimeout(() => card.classList.remove("ytsc-highlight"), 2000);
+}
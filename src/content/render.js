@@ -1,5 +1,5 @@
 /**
- * render.js – Pure formatting helpers for YT Subscriptions Cleaner.
+ * render.js – Pure formatting and classification helpers for YT Subscriptions Cleaner.
  *
  * Plain script (no ES modules). Functions are available globally to
  * subsequently-loaded content scripts (dom.js, content_script.js).
@@ -7,25 +7,50 @@
 
 /**
  * Converts a number of days into a human-readable "last upload" string.
- * @param {number} days
+ * @param {number}  days
+ * @param {boolean} [atLeast] – the real gap is longer ("over 2 years ago")
+ * @param {string}  [label]   – what uploaded, e.g. "Last Short"
  * @returns {string}
  */
-function ytscFormatDaysAgo(days) {
-  if (days === 0) return "Last upload: today";
-  if (days === 1) return "Last upload: yesterday";
-  if (days < 30) return `Last upload: ${days} days ago`;
+function ytscFormatDaysAgo(days, atLeast = false, label = "Last upload") {
+  const prefix = `${label}: ${atLeast ? "over " : ""}`;
+  if (days === 0) return `${label}: today`;
+  if (days === 1) return `${label}: yesterday`;
+  if (days < 30) return `${prefix}${days} days ago`;
 
   if (days < 365) {
     const months = Math.floor(days / 30);
-    return `Last upload: ${months} month${months !== 1 ? "s" : ""} ago`;
+    return `${prefix}${months} month${months !== 1 ? "s" : ""} ago`;
   }
 
   const years = Math.floor(days / 365);
   const remMonths = Math.floor((days % 365) / 30);
   if (remMonths > 0) {
-    return `Last upload: ${years}y ${remMonths}mo ago`;
+    return `${prefix}${years}y ${remMonths}mo ago`;
   }
-  return `Last upload: ${years} year${years !== 1 ? "s" : ""} ago`;
+  return `${prefix}${years} year${years !== 1 ? "s" : ""} ago`;
+}
+
+const YTSC_KIND_LABELS = {
+  long: "Last long-form video",
+  short: "Last Short",
+  live: "Last livestream",
+};
+
+/**
+ * One line per upload kind, for the badge tooltip.
+ * @param {object} lastByKind – kind → ISO date or null
+ * @returns {string}
+ */
+function ytscFormatLastByKind(lastByKind) {
+  return Object.entries(YTSC_KIND_LABELS)
+    .map(([kind, label]) => {
+      const at = lastByKind[kind];
+      if (!at) return `${label}: none recently`;
+      const days = Math.floor((Date.now() - new Date(at).getTime()) / 86400000);
+      return `${ytscFormatDaysAgo(days, false, label)} (${new Date(at).toLocaleDateString()})`;
+    })
+    .join("\n");
 }
 
 /**
@@ -37,3 +62,100 @@ function ytscFormatTimestamp(ms) {
   if (!ms) return "never";
   return new Date(ms).toLocaleString();
 }
+
+/**
+ * Describes a channel that has gone quiet relative to its usual cadence,
+ * e.g. "Usually every 7 days, silent for 45".
+ * @param {object} info – scan result with typicalIntervalDays and daysAgo
+ * @returns {string}
+ */
+function ytscFormatCadence(info) {
+  const every = info.typicalIntervalDays;
+  return `Usually every ${every === 1 ? "day" : `${every} days`}, silent for ${info.daysAgo}`;
+}
+
+const YTSC_HISTORY_EVENTS = {
+  quiet: "Went inactive",
+  back: "Uploaded again",
+  gone: "Channel gone",
+};
+
+// Sparkline levels, most active first
+const YTSC_SPARK_LEVELS = "▁▂▃▄▅▆▇█";
+
+/**
+ * A channel's activity history as tooltip lines: a sparkline of its tier at
+ * each recorded change (higher = longer silent, ✕ = gone) and the latest
+ * turning points.
+ * @param {object|null} history – { since, events, points } from the background
+ * @returns {string}
+ */
+function ytscFormatHistory(history) {
+  if (!history) return "";
+  const date = (ms) => new Date(ms).toLocaleDateString();
+  const spark = history.points
+    .slice(-20)
+    .map((p) => {
+      if (p.status === "gone") return "✕";
+      const rank = ytscTiers.findIndex((t) => t.id === p.tier);
+      if (rank < 0) return "·";
+      const scale = (YTSC_SPARK_LEVELS.length - 1) / Math.max(1, ytscTiers.length - 1);
+      return YTSC_SPARK_LEVELS[Math.round(rank * scale)];
+    })
+    .join("");
+  const lines = [`History since ${date(history.since)}: ${spark}`];
+  for (const event of history.events.slice(-3)) {
+    lines.push(`${YTSC_HISTORY_EVENTS[event.kind]}: ${date(event.at)}`);
+  }
+  return lines.join("\n");
+}
+
+// Activity tiers from settings, sent along with every scan response
+let ytscTiers = [];
+
+/** @param {object[]} tiers – settings.tiers, sorted by minDays */
+function ytscSetTiers(tiers) {
+  ytscTiers = tiers;
+}
+
+/**
+ * Channels per tier, for the popup summary. Counts the `tier` the background
+ * set on each result, like countByTier() in src/shared/tiers.js.
+ * @param {object[]} results
+ * @returns {Array<{ id, label, color, flag, count }>}
+ */
+function ytscCountByTier(results) {
+  const counts = ytscTiers.map((t) => ({ ...t, count: 0 }));
+  for (const info of results) {
+    const entry = info.tier && counts.find((c) => c.id === info.tier.id);
+    if (entry) entry.count++;
+  }
+  return counts;
+}
+
+/**
+ * Whether a scan result should be flagged as inactive: in a flagged tier
+ * (or gone quiet for its own cadence) and neither whitelisted nor snoozed.
+ * Mirrors isFlagged() in src/background/overrides.js.
+ * @param {object} info
+ * @returns {boolean}
+ */
+function ytscIsFlagged(info) {
+  if (info.daysAgo == null) return false;
+  if (!info.tier?.flag && !info.goingQuiet) return false;
+  if (info.whitelisted) return false;
+  return !(info.snoozedUntil && info.snoozedUntil > Date.now());
+}
+
+/**
+ * Which filter-bar status a card falls under.
+ * @param {object|undefined} info – the card's scan result, if any
+ * @returns {"active"|"inactive"|"kept"|"no_uploads"|"error"|"unchecked"}
+ */
+function ytscStatusOf(info) {
+  if (!info || info.status === "loading") return "unchecked";
+  if (info.status === "no_uploads") return "no_uploads";
+  if (info.status !== "ok") return "error";
+  if (ytscIsFlagged(info)) return "inactive";
+  return info.tier?.flag || info.goingQuiet ? "kept" : "active";
+}
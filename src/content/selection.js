@@ -0,0 +1,126 @@
+/**
+ * selection.js – Selection layer DOM for YT Subscriptions Cleaner.
+ *
+ * Plain script (no ES modules), loaded after dom.js. Renders the per-card
+ * checkboxes and the sticky action bar. Like the retry badge in dom.js, these
+ * only dispatch custom events on document; content_script.js owns the
+ * selection state and carries out the actions:
+ *
+ *   ytsc:select       { channelId, checked, shiftKey }
+ *   ytsc:select-where { filter }  – "inactive" | "no_uploads" | "none"
+ *   ytsc:bulk-action  { action }  – "whitelist" | "snooze" | "recheck" |
+ *                                   "open" | "export" | "unsubscribe"
+ */
+
+/* global ytscExtractChannelId, ytscGetInfoEl */
+
+// ---------------------------------------------------------------------------
+// Per-card checkbox
+// ---------------------------------------------------------------------------
+
+/**
+ * Attaches (or updates) the selection checkbox on a card.
+ *
+ * Not a real <input type="checkbox">: the card's info area sits inside the
+ * channel link, and cancelling the link navigation on a native checkbox also
+ * reverts its checked state.
+ *
+ * @param {Element} card
+ * @param {boolean} checked
+ */
+function ytscAttachCheckbox(card, checked) {
+  let box = card.querySelector(".ytsc-select");
+  if (!box) {
+    box = document.createElement("span");
+    box.className = "ytsc-select";
+    box.setAttribute("role", "checkbox");
+    box.title = "Select (shift-click to select a range)";
+    box.addEventListener("click", (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+      document.dispatchEvent(
+        new CustomEvent("ytsc:select", {
+          detail: {
+            channelId: ytscExtractChannelId(card),
+            checked: box.getAttribute("aria-checked") !== "true",
+            shiftKey: e.shiftKey,
+          },
+        })
+      );
+    });
+    ytscGetInfoEl(card).prepend(box);
+  }
+
+  box.setAttribute("aria-checked", String(checked));
+  card.classList.toggle("ytsc-selected", checked);
+}
+
+// ---------------------------------------------------------------------------
+// Sticky action bar
+// ---------------------------------------------------------------------------
+
+const YTSC_BULK_ACTIONS = [
+  ["whitelist", "Whitelist"],
+  ["snooze", "Snooze"],
+  ["recheck", "Re-check"],
+  ["open", "Open in tabs"],
+  ["export", "Export"],
+  ["unsubscribe", "Unsubscribe"],
+];
+
+const YTSC_SELECT_SHORTCUTS = [
+  ["inactive", "All inactive"],
+  ["no_uploads", "All no-uploads"],
+  ["none", "Clear"],
+];
+
+function ytscBarButton(label, eventName, detail) {
+  const btn = document.createElement("button");
+  btn.className = "ytsc-action-bar__btn";
+  btn.textContent = label;
+  btn.addEventListener("click", () => {
+    document.dispatchEvent(new CustomEvent(eventName, { detail }));
+  });
+  return btn;
+}
+
+/**
+ * Shows (or updates) the fixed action bar at the bottom of the page.
+ * Bulk actions are disabled while nothing is selected.
+ *
+ * @param {number} selectedCount
+ */
+function ytscRenderActionBar(selectedCount) {
+  let bar = document.querySelector(".ytsc-action-bar");
+  if (!bar) {
+    bar = document.createElement("div");
+    bar.className = "ytsc-action-bar";
+
+    const shortcuts = document.createElement("div");
+    shortcuts.className = "ytsc-action-bar__group";
+    shortcuts.append("Select:");
+    for (const [filter, label] of YTSC_SELECT_SHORTCUTS) {
+      shortcuts.appendChild(ytscBarButton(label, "ytsc:select-where", { filter }));
+    }
+
+    const count = document.createElement("span");
+    count.className = "ytsc-action-bar__count";
+
+    const actions = document.createElement("div");
+    actions.className = "ytsc-action-bar__group";
+    for (const [action, label] of YTSC_BULK_ACTIONS) {
+      const btn = ytscBarButton(label, "ytsc:bulk-action", { action });
+      btn.dataset.bulk = action;
+      actions.appendChild(btn);
+    }
+
+    bar.append(shortcuts, count, actions);
+    document.body.appendChild(bar);
+  }
+
+  bar.querySelector(".ytsc-action-bar__count").textContent =
+    `${selectedCount} selected`;
+  for (const btn of bar.querySelectorAll("[data-bulk]")) {
+    btn.disabled = selectedCount === 0;
+  }
+}
@@ -0,0 +1,107 @@
+/**
+ * sort.js – Reordering the channel grid for YT Subscriptions Cleaner.
+ *
+ * Plain script (no ES modules), loaded after dom.js and render.js. Cards are
+ * never moved – YouTube's renderer owns them and would fight back. Instead
+ * the closest element holding every card becomes a flex column, the wrappers
+ * in between get `display: contents`, and each card a CSS `order`. Clearing
+ * the classes puts YouTube's own order back.
+ *
+ * YouTube loads cards in batches, each in its own wrapper, so the container
+ * is looked up again on every call.
+ */
+
+/* global ytscStatusOf, ytscTiers */
+
+const YTSC_SORTS = [
+  ["none", "YouTube order"],
+  ["days", "Longest silent first"],
+  ["status", "Status"],
+  ["tier", "Activity tier"],
+];
+
+// Flagged first, active last
+const YTSC_STATUS_RANK = ["inactive", "kept", "no_uploads", "error", "unchecked", "active"];
+
+/**
+ * Compares two scan results for a sort; most inactive first, ties broken
+ * by days since the last upload. Results may be undefined (not checked).
+ * @param {string} sort – one of YTSC_SORTS
+ * @returns {number}
+ */
+function ytscCompareForSort(sort, a, b) {
+  const days = (info) => info?.daysAgo ?? -1;
+  if (sort === "status") {
+    const diff =
+      YTSC_STATUS_RANK.indexOf(ytscStatusOf(a)) - YTSC_STATUS_RANK.indexOf(ytscStatusOf(b));
+    if (diff !== 0) return diff;
+  } else if (sort === "tier") {
+    const rank = (info) =>
+      info?.tier ? ytscTiers.findIndex((t) => t.id === info.tier.id) : -1;
+    const diff = rank(b) - rank(a);
+    if (diff !== 0) return diff;
+  }
+  return days(b) - days(a);
+}
+
+/**
+ * Whether "collapse active channels" hides this card: a checked channel in
+ * the first (most active) tier that isn't going quiet.
+ * @param {object|undefined} info
+ */
+function ytscIsCollapsible(info) {
+  return ytscStatusOf(info) === "active" && info.tier?.id === ytscTiers[0]?.id;
+}
+
+/**
+ * The closest element that contains every card.
+ * @param {Element[]} cards
+ * @returns {Element|null}
+ */
+function ytscCardContainer(cards) {
+  if (cards.length === 0) return null;
+  let container = cards[0].parentElement;
+  while (container && !cards.every((card) => container.contains(card))) {
+    container = container.parentElement;
+  }
+  return container;
+}
+
+/** Removes every trace of a sort, restoring YouTube's order. */
+function ytscClearCardOrder() {
+  for (const el of document.querySelectorAll(".ytsc-sorted, .ytsc-sort-flatten")) {
+    el.classList.remove("ytsc-sorted", "ytsc-sort-flatten");
+  }
+  for (const card of document.querySelectorAll("ytd-channel-renderer")) {
+    card.style.removeProperty("order");
+  }
+}
+
+/**
+ * Shows the cards in the given order.
+ * @param {Element[]} ordered – every card on the page, in display order
+ */
+function ytscApplyCardOrder(ordered) {
+  const container = ytscCardContainer(ordered);
+  if (!container) return;
+
+  // Flatten the wrappers between the container and the cards, so every card
+  // is a flex item of the container
+  const flatten = new Set();
+  for (const card of ordered) {
+    for (let el = card.parentElement; el && el !== container; el = el.parentElement) {
+      if (flatten.has(el)) break;
+      flatten.add(el);
+    }
+  }
+  for (const el of document.querySelectorAll(".ytsc-sort-flatten")) {
+    if (!flatten.has(el)) el.classList.remove("ytsc-sort-flatten");
+  }
+  for (const el of flatten) el.classList.add("ytsc-sort-flatten");
+  for (const el of document.querySelectorAll(".ytsc-sorted")) {
+    if (el !== container) el.classList.remove("ytsc-sorted");
+  }
+  container.classList.add("ytsc-sorted");
+
+  ordered.forEach((card, i) => card.style.setProperty("order", String(i + 1)));
+}
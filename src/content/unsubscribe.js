@@ -0,0 +1,205 @@
+/**
+ * unsubscribe.js – Assisted unsubscribe for YT Subscriptions Cleaner.
+ *
+ * Plain script (no ES modules), loaded after dom.js. Drives each card's own
+ * Subscribe/Unsubscribe control and YouTube's confirmation dialog, so nothing
+ * here talks to the API – we only click what the user could click.
+ *
+ * YouTube has shipped two variants of the subscribed button:
+ *   - Classic: clicking "Subscribed" opens the "Unsubscribe from X?" dialog
+ *   - Newer:   clicking "Subscribed" opens a menu (notification bell options
+ *              + "Unsubscribe"), and the menu item then opens the dialog
+ * Both are handled. The menu item is matched by its text, so the newer
+ * variant needs the YouTube UI in English.
+ */
+
+/* global ytscExtractChannelId, ytscExtractHandle, ytscExtractChannelName */
+
+const YTSC_UI_TIMEOUT_MS = 5000;
+
+// ---------------------------------------------------------------------------
+// Subscribe-button helpers
+// ---------------------------------------------------------------------------
+
+/**
+ * Returns the clickable subscribe/unsubscribe button inside a card.
+ * @param {Element} card
+ * @returns {HTMLElement|null}
+ */
+function ytscFindSubscribeButton(card) {
+  return card.querySelector(
+    "ytd-subscribe-button-renderer button, #subscribe-button button"
+  );
+}
+
+/**
+ * Whether the card's channel is currently subscribed.
+ * @param {Element} card
+ * @returns {boolean|null}  null when the card has no subscribe control
+ */
+function ytscIsSubscribed(card) {
+  const renderer = card.querySelector("ytd-subscribe-button-renderer");
+  if (renderer?.hasAttribute("subscribed")) return true;
+
+  const btn = ytscFindSubscribeButton(card);
+  if (!btn) return null;
+
+  const label = btn.getAttribute("aria-label") || "";
+  if (/^unsubscribe/i.test(label)) return true;
+  return /subscribed/i.test(btn.textContent || "");
+}
+
+/**
+ * Polls `fn` until it returns a truthy value or the timeout elapses.
+ * @param {function} fn
+ * @param {number}   timeoutMs
+ * @returns {Promise<*>}  the truthy value, or null on timeout
+ */
+function ytscWaitFor(fn, timeoutMs = YTSC_UI_TIMEOUT_MS) {
+  return new Promise((resolve) => {
+    const start = Date.now();
+    (function poll() {
+      const value = fn();
+      if (value) return resolve(value);
+      if (Date.now() - start >= timeoutMs) return resolve(null);
+      setTimeout(poll, 100);
+    })();
+  });
+}
+
+// Dialogs and menus are rendered into a shared popup container at the end of
+// the document, not inside the card. YouTube keeps them in the DOM after they
+// close, so only visible ones count.
+function ytscIsVisible(el) {
+  return el.getClientRects().length > 0;
+}
+
+function ytscFindConfirmButton() {
+  const candidates = document.querySelectorAll(
+    "yt-confirm-dialog-renderer #confirm-button button, " +
+      "yt-confirm-dialog-renderer #confirm-button"
+  );
+  return Array.from(candidates).find(ytscIsVisible) || null;
+}
+
+function ytscFindUnsubscribeMenuItem() {
+  const items = document.querySelectorAll(
+    "ytd-menu-popup-renderer ytd-menu-service-item-renderer, " +
+      "ytd-menu-popup-renderer tp-yt-paper-item"
+  );
+  return (
+    Array.from(items).find(
+      (el) => ytscIsVisible(el) && /unsubscribe/i.test(el.textContent || "")
+    ) || null
+  );
+}
+
+// ---------------------------------------------------------------------------
+// Single card
+// ---------------------------------------------------------------------------
+
+/**
+ * Unsubscribes from the channel on one card.
+ *
+ * @param {Element} card
+ * @param {object}  opts – { dryRun }
+ * @returns {Promise<{ outcome: 'done'|'failed'|'skipped', reason?: string }>}
+ */
+async function ytscUnsubscribeCard(card, { dryRun = false } = {}) {
+  const subscribed = ytscIsSubscribed(card);
+  if (subscribed === null) {
+    return { outcome: "failed", reason: "Subscribe button not found" };
+  }
+  if (!subscribed) {
+    return { outcome: "skipped", reason: "Not subscribed" };
+  }
+  if (dryRun) {
+    return { outcome: "skipped", reason: "Dry run" };
+  }
+
+  card.scrollIntoView({ block: "center" });
+  ytscFindSubscribeButton(card).click();
+
+  // Either the dialog opens directly, or a menu with an "Unsubscribe" item does
+  const next = await ytscWaitFor(
+    () => ytscFindConfirmButton() || ytscFindUnsubscribeMenuItem()
+  );
+  if (!next) {
+    return { outcome: "failed", reason: "Unsubscribe dialog did not open" };
+  }
+
+  let confirmBtn = ytscFindConfirmButton();
+  if (!confirmBtn) {
+    next.click(); // the menu's "Unsubscribe" item
+    confirmBtn = await ytscWaitFor(ytscFindConfirmButton);
+    if (!confirmBtn) {
+      return { outcome: "failed", reason: "Confirmation dialog did not open" };
+    }
+  }
+
+  confirmBtn.click();
+
+  const flipped = await ytscWaitFor(() => ytscIsSubscribed(card) === false);
+  if (!flipped) {
+    return { outcome: "failed", reason: "Subscription state did not change" };
+  }
+  return { outcome: "done" };
+}
+
+// ---------------------------------------------------------------------------
+// Queue
+// ---------------------------------------------------------------------------
+
+/**
+ * Works through a list of cards one at a time, waiting `delayMs` between
+ * channels, and writes every outcome to the audit log.
+ *
+ * @param {Element[]} cards
+ * @param {object}    opts – { delayMs, dryRun, onProgress?, shouldStop? }
+ * @returns {Promise<{ done: number, failed: number, skipped: number, stopped: boolean }>}
+ */
+async function ytscRunUnsubscribeQueue(
+  cards,
+  { delayMs, dryRun, onProgress = () => {}, shouldStop = () => false }
+) {
+  const counts = { done: 0, failed: 0, skipped: 0, stopped: false };
+
+  for (let i = 0; i < cards.length; i++) {
+    if (shouldStop()) {
+      counts.stopped = true;
+      break;
+    }
+
+    const card = cards[i];
+    let result;
+    try {
+      result = await ytscUnsubscribeCard(card, { dryRun });
+    } catch (e) {
+      result = { outcome: "failed", reason: e.message };
+    }
+    counts[result.outcome]++;
+
+    await chrome.runtime
+      .sendMessage({
+        type: "LOG_UNSUBSCRIBE",
+        entry: {
+          channelId: ytscExtractChannelId(card),
+          handle: ytscExtractHandle(card),
+          name: ytscExtractChannelName(card),
+          outcome: result.outcome,
+          reason: result.reason ?? null,
+          dryRun,
+        },
+      })
+      .catch(() => {});
+
+    onProgress({ index: i + 1, total: cards.length, card, ...result });
+
+    // Dry runs never touch YouTube, so there is nothing to pace
+    if (!dryRun && i < cards.length - 1) {
+      await new Promise((r) => setTimeout(r, delayMs));
+    }
+  }
+
+  return counts;
+}
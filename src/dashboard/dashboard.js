@@ -0,0 +1,275 @@
+import { tierFor } from "../shared/tiers.js";
+import { loadSettings } from "../shared/settings.js";
+
+// Status labels, in the order the Status column sorts by
+const STATUS_LABELS = {
+  inactive: "Inactive",
+  no_uploads: "No uploads",
+  kept: "Kept",
+  active: "Active",
+};
+
+const HISTORY_EVENTS = {
+  quiet: "Went inactive",
+  back: "Uploaded again",
+  gone: "Channel gone",
+};
+
+// ── DOM refs ────────────────────────────────────────────────────────────────
+const $countSummary   = document.getElementById("countSummary");
+const $yearSummary    = document.getElementById("yearSummary");
+const $scanAll        = document.getElementById("scanAll");
+const $search         = document.getElementById("search");
+const $statusFilters  = document.querySelectorAll(".status-filters input");
+const $threshold      = document.getElementById("threshold");
+const $thresholdValue = document.getElementById("thresholdValue");
+const $resetThreshold = document.getElementById("resetThreshold");
+const $empty          = document.getElementById("empty");
+const $table          = document.getElementById("table");
+const $rows           = document.getElementById("rows");
+const $sortHeaders    = document.querySelectorAll("th[data-sort]");
+
+// ── State ───────────────────────────────────────────────────────────────────
+const state = {
+  channels: [],
+  savedThreshold: 365,
+  tiers: [],
+  sortKey: "daysAgo",
+  sortDir: -1, // -1 = descending
+};
+
+// ── Classification ──────────────────────────────────────────────────────────
+// The activity tier against the slider's threshold: the tier bands scale
+// with it, as they do with a custom threshold
+function tierAt(channel, limit) {
+  const scaled = {
+    daysAgo: channel.daysAgo,
+    thresholdDays: limit,
+    defaultThresholdDays: state.savedThreshold,
+  };
+  return tierFor(scaled, state.tiers) ?? null;
+}
+
+// Same rules as ytscIsFlagged() in the content script, but against the
+// slider's threshold instead of the saved one – except for channels with a
+// custom threshold of their own. Going quiet (silent far past the channel's
+// usual cadence) doesn't depend on the threshold.
+function classify(channel, threshold) {
+  if (channel.status !== "ok") return channel.status;
+  channel.tier = tierAt(channel, channel.customThresholdDays ?? threshold);
+  if (!channel.tier?.flag && !channel.goingQuiet) return "active";
+  const snoozed = channel.snoozedUntil && channel.snoozedUntil > Date.now();
+  return channel.whitelisted || snoozed ? "kept" : "inactive";
+}
+
+// ── Sorting ─────────────────────────────────────────────────────────────────
+function sortValue(channel, key) {
+  switch (key) {
+    case "title":
+      return (channel.title || channel.handle || channel.channelId).toLowerCase();
+    case "lastUploadAt":
+      return channel.lastUploadAt ? Date.parse(channel.lastUploadAt) : null;
+    case "status":
+      return Object.keys(STATUS_LABELS).indexOf(channel.klass);
+    default:
+      return channel[key] ?? null;
+  }
+}
+
+function compare(a, b) {
+  const va = sortValue(a, state.sortKey);
+  const vb = sortValue(b, state.sortKey);
+  // Missing values always sink to the bottom
+  if (va == null && vb == null) return 0;
+  if (va == null) return 1;
+  if (vb == null) return -1;
+  if (va < vb) return -state.sortDir;
+  if (va > vb) return state.sortDir;
+  return 0;
+}
+
+// ── Rendering ───────────────────────────────────────────────────────────────
+function cell(content) {
+  const td = document.createElement("td");
+  if (content instanceof Node) td.appendChild(content);
+  else td.textContent = content ?? "";
+  return td;
+}
+
+// One span per recorded state, as wide as the time it lasted, in the color of
+// the tier the channel was in
+function renderTimeline(history) {
+  if (!history) return document.createTextNode("—");
+  const bar = document.createElement("div");
+  bar.className = "timeline";
+  const { points } = history;
+  points.forEach((point, i) => {
+    const end = points[i + 1]?.at ?? Date.now();
+    const span = document.createElement("span");
+    span.className = `timeline__span timeline__span--${point.status}`;
+    span.style.flexGrow = String(Math.max(1, end - point.at));
+    const tier = state.tiers.find((t) => t.id === point.tier);
+    if (tier && point.status === "ok") span.style.setProperty("--tier-color", tier.color);
+    span.title = `${tier?.label ?? STATUS_LABELS[point.status] ?? "Gone"} from ` +
+      new Date(point.at).toLocaleDateString();
+    bar.appendChild(span);
+  });
+  bar.title = [
+    `Tracked since ${new Date(history.since).toLocaleDateString()}`,
+    ...history.events.map(
+      (e) => `${HISTORY_EVENTS[e.kind]}: ${new Date(e.at).toLocaleDateString()}`
+    ),
+  ].join("\n");
+  return bar;
+}
+
+function renderRow(channel) {
+  const tr = document.createElement("tr");
+
+  const avatar = document.createElement("img");
+  avatar.className = "avatar";
+  avatar.alt = "";
+  if (channel.avatarUrl) avatar.src = channel.avatarUrl;
+
+  const link = document.createElement("a");
+  link.href = `https://www.youtube.com/channel/${channel.channelId}`;
+  link.target = "_blank";
+  link.rel = "noopener";
+  link.textContent = channel.title || channel.handle || channel.channelId;
+  if (channel.note) link.title = channel.note;
+
+  const pill = document.createElement("span");
+  pill.className = `pill pill--${channel.klass}`;
+  pill.textContent = STATUS_LABELS[channel.klass] ?? channel.klass;
+  // Kept channels stay grey; the rest show their tier
+  if (channel.tier && channel.klass !== "kept") {
+    pill.classList.add("pill--tier");
+    pill.style.setProperty("--tier-color", channel.tier.color);
+    pill.textContent = channel.tier.label;
+  }
+  if (channel.typicalIntervalDays) {
+    pill.title = `Usually uploads every ${channel.typicalIntervalDays} day(s)` +
+      (channel.goingQuiet ? " – gone quiet" : "");
+  }
+
+  tr.append(
+    cell(avatar),
+    cell(link),
+    cell(channel.lastUploadAt ? new Date(channel.lastUploadAt).toLocaleDateString() : "—"),
+    cell(channel.daysAgo ?? "—"),
+    cell(pill),
+    cell(channel.lastCheckedAt ? new Date(channel.lastCheckedAt).toLocaleString() : "—"),
+    cell(renderTimeline(channel.history))
+  );
+  return tr;
+}
+
+function render() {
+  const threshold = Number($threshold.value);
+  const query = $search.value.trim().toLowerCase();
+  const statuses = new Set(
+    Array.from($statusFilters).filter((el) => el.checked).map((el) => el.value)
+  );
+
+  $thresholdValue.textContent = threshold;
+
+  for (const channel of state.channels) {
+    channel.klass = classify(channel, threshold);
+  }
+
+  const visible = state.channels
+    .filter((c) => statuses.has(c.klass))
+    .filter((c) =>
+      !query ||
+      [c.title, c.handle, c.channelId, c.note, ...(c.tags ?? [])].some((v) =>
+        v?.toLowerCase().includes(query)
+      )
+    )
+    .sort(compare);
+
+  $rows.replaceChildren(...visible.map(renderRow));
+
+  const inactive = state.channels.filter((c) => c.klass === "inactive").length;
+  $countSummary.textContent =
+    `${state.channels.length} channels, ${inactive} inactive` +
+    (visible.length !== state.channels.length ? ` (${visible.length} shown)` : "");
+
+  for (const th of $sortHeaders) {
+    if (th.dataset.sort === state.sortKey) {
+      th.setAttribute("aria-sort", state.sortDir === 1 ? "ascending" : "descending");
+    } else {
+      th.removeAttribute("aria-sort");
+    }
+  }
+
+  $empty.classList.toggle("hidden", state.channels.length > 0);
+  $table.classList.toggle("hidden", state.channels.length === 0);
+}
+
+function renderYearSummary(counts) {
+  const any = counts && counts.quiet + counts.back + counts.gone > 0;
+  $yearSummary.classList.toggle("hidden", !any);
+  if (!any) return;
+  $yearSummary.textContent =
+    `This year: ${counts.quiet} went inactive, ${counts.back} uploaded again, ` +
+    `${counts.gone} disappeared`;
+}
+
+// ── Controls ────────────────────────────────────────────────────────────────
+$search.addEventListener("input", render);
+$threshold.addEventListener("input", render);
+for (const el of $statusFilters) el.addEventListener("change", render);
+
+$resetThreshold.addEventListener("click", () => {
+  $threshold.value = state.savedThreshold;
+  render();
+});
+
+for (const th of $sortHeaders) {
+  th.addEventListener("click", () => {
+    if (state.sortKey === th.dataset.sort) {
+      state.sortDir = -state.sortDir;
+    } else {
+      state.sortKey = th.dataset.sort;
+      state.sortDir = th.dataset.sort === "title" ? 1 : -1;
+    }
+    render();
+  });
+}
+
+// OAuth mode only: the whole subscription list comes from the API
+$scanAll.addEventListener("click", async () => {
+  $scanAll.disabled = true;
+  $countSummary.textContent = "scanning…";
+  const resp = await chrome.runtime.sendMessage({ type: "SCAN_SUBSCRIPTIONS" });
+  $scanAll.disabled = false;
+  if (resp?.ok) {
+    init();
+  } else {
+    $countSummary.textContent =
+      resp?.error === "AUTH_REQUIRED"
+        ? "scan failed – sign in again from Options"
+        : `scan failed: ${resp?.error ?? "unknown error"}`;
+  }
+});
+
+// ── Init ──────────────────────────────────────────────────────────────────────
+async function init() {
+  const { authMode } = await loadSettings();
+  $scanAll.classList.toggle("hidden", authMode !== "oauth");
+
+  const resp = await chrome.runtime.sendMessage({ type: "GET_CHANNELS" });
+  if (!resp?.ok) {
+    $countSummary.textContent = "could not load channels";
+    return;
+  }
+  state.channels = resp.channels;
+  state.savedThreshold = resp.thresholdDays;
+  state.tiers = resp.tiers ?? [];
+  $threshold.max = Math.max(Number($threshold.max), resp.thresholdDays);
+  $threshold.value = resp.thresholdDays;
+  renderYearSummary(resp.thisYear);
+  render();
+}
+
+init();
@@ -1,18 +1,67 @@
-"use strict";
+import { DEFAULTS, loadSettings, saveSettings, standInPermission } from "../shared/settings.js";
+import { downloadFile } from "../shared/download.js";
+import { MAX_TIERS } from "../shared/tiers.js";
 
-const DEFAULTS = { thresholdDays: 365, cacheTtlHours: 24, concurrency: 6 };
+// Only the most recent entries are shown; the full log stays in storage
+const LOG_ROWS_SHOWN = 50;
+
+const MAX_API_KEYS = 10;
 
 // ── DOM refs ────────────────────────────────────────────────────────────────
-const $apiKey       = document.getElementById("apiKey");
-const $toggleKey    = document.getElementById("toggleKey");
-const $testKey      = document.getElementById("testKey");
-const $testStatus   = document.getElementById("testStatus");
-const $thresholdDays = document.getElementById("thresholdDays");
+const $apiKeyRows   = document.getElementById("apiKeyRows");
+const $addApiKey    = document.getElementById("addApiKey");
+const $authModes    = document.querySelectorAll('input[name="authMode"]');
+const $oauthFields  = document.getElementById("oauthFields");
+const $oauthClientId = document.getElementById("oauthClientId");
+const $redirectUri  = document.getElementById("redirectUri");
+const $signIn       = document.getElementById("signIn");
+const $signOut      = document.getElementById("signOut");
+const $authStatus   = document.getElementById("authStatus");
+const $apiBaseUrl   = document.getElementById("apiBaseUrl");
+const $oauthAuthUrl = document.getElementById("oauthAuthUrl");
+const $dataSource   = document.getElementById("dataSource");
 const $cacheTtlHours = document.getElementById("cacheTtlHours");
+const $evictAfterScans = document.getElementById("evictAfterScans");
+const $cacheStats   = document.getElementById("cacheStats");
 const $concurrency  = document.getElementById("concurrency");
+const $cadenceAnalysis = document.getElementById("cadenceAnalysis");
+const $cadenceFactor = document.getElementById("cadenceFactor");
+const $classifyUploads = document.getElementById("classifyUploads");
+const $tierRows     = document.getElementById("tierRows");
+const $addTier      = document.getElementById("addTier");
+const $resetTiers   = document.getElementById("resetTiers");
+const $countedKinds = document.getElementById("countedKinds");
+const $kindBoxes    = $countedKinds.querySelectorAll("input");
+const $rescanSchedule = document.getElementById("rescanSchedule");
+const $notifyInactive = document.getElementById("notifyInactive");
+const $notifyRevived = document.getElementById("notifyRevived");
+const $rescanStatus = document.getElementById("rescanStatus");
+const $runRescan    = document.getElementById("runRescan");
+const $snoozeDays   = document.getElementById("snoozeDays");
+const $dailyQuotaBudget = document.getElementById("dailyQuotaBudget");
+const $quotaPolicy  = document.getElementById("quotaPolicy");
+const $quotaUsage   = document.getElementById("quotaUsage");
+const $quotaKeys    = document.getElementById("quotaKeys");
+const $quotaBreakdown = document.getElementById("quotaBreakdown");
+const $unsubscribeDelaySec = document.getElementById("unsubscribeDelaySec");
+const $unsubscribeDryRun   = document.getElementById("unsubscribeDryRun");
+const $syncSettings = document.getElementById("syncSettings");
+const $syncApiKeys  = document.getElementById("syncApiKeys");
 const $save         = document.getElementById("save");
 const $clearCache   = document.getElementById("clearCache");
 const $saveStatus   = document.getElementById("saveStatus");
+const $logEmpty     = document.getElementById("logEmpty");
+const $logTable     = document.getElementById("logTable");
+const $logBody      = document.getElementById("logBody");
+const $clearLog     = document.getElementById("clearLog");
+const $openDashboard = document.getElementById("openDashboard");
+const $exportFilter = document.getElementById("exportFilter");
+const $exportButtons = document.querySelectorAll("[data-format]");
+const $exportStatus = document.getElementById("exportStatus");
+const $exportApiKeys = document.getElementById("exportApiKeys");
+const $exportSettings = document.getElementById("exportSettings");
+const $importSettings = document.getElementById("importSettings");
+const $backupStatus = document.getElementById("backupStatus");
 
 // ── Helpers ─────────────────────────────────────────────────────────────────
 function setStatus(el, msg, type = "info") {
@@ -21,68 +70,536 @@ function setStatus(el, msg, type = "info") {
   if (msg) setTimeout(() => { el.textContent = ""; el.className = "status-msg"; }, 3500);
 }
 
+function countedKinds() {
+  return [...$kindBoxes].filter((box) => box.checked).map((box) => box.value);
+}
+
+function selectedAuthMode() {
+  return [...$authModes].find((r) => r.checked)?.value ?? DEFAULTS.authMode;
+}
+
+// Values the background needs before it can run the sign-in flow
+function authSettings() {
+  return {
+    authMode:      selectedAuthMode(),
+    oauthClientId: $oauthClientId.value,
+    apiBaseUrl:    $apiBaseUrl.value,
+    oauthAuthUrl:  $oauthAuthUrl.value,
+  };
+}
+
+// The loopback host permission, asked for only when the API base URL points
+// at a local stand-in. Chrome only prompts during the click itself, so this
+// has to run before anything else is awaited.
+function requestStandInAccess() {
+  const origin = standInPermission($apiBaseUrl.value.trim());
+  return origin ? chrome.permissions.request({ origins: [origin] }) : Promise.resolve(true);
+}
+
 // ── Load saved settings ──────────────────────────────────────────────────────
 async function load() {
-  const v = await chrome.storage.local.get([
-    "apiKey", "thresholdDays", "cacheTtlHours", "concurrency",
-  ]);
-  $apiKey.value        = v.apiKey         ?? "";
-  $thresholdDays.value = v.thresholdDays  ?? DEFAULTS.thresholdDays;
-  $cacheTtlHours.value = v.cacheTtlHours  ?? DEFAULTS.cacheTtlHours;
-  $concurrency.value   = v.concurrency    ?? DEFAULTS.concurrency;
+  // Defaults filled in, older settings migrated
+  const v = await loadSettings();
+  $dataSource.value    = v.dataSource;
+  $cacheTtlHours.value = v.cacheTtlHours;
+  $evictAfterScans.value = v.evictAfterScans;
+  $concurrency.value   = v.concurrency;
+  $cadenceAnalysis.checked = v.cadenceAnalysis;
+  $cadenceFactor.value     = v.cadenceFactor;
+  $classifyUploads.checked = v.classifyUploads;
+  for (const box of $kindBoxes) box.checked = v.countedKinds.includes(box.value);
+  $countedKinds.disabled = !$classifyUploads.checked;
+  $rescanSchedule.value = v.rescanSchedule;
+  $notifyInactive.checked = v.notifyInactive;
+  $notifyRevived.checked  = v.notifyRevived;
+  $snoozeDays.value   = v.snoozeDays;
+  $unsubscribeDelaySec.value = v.unsubscribeDelaySec;
+  $unsubscribeDryRun.checked = v.unsubscribeDryRun;
+  $dailyQuotaBudget.value = v.dailyQuotaBudget;
+  $quotaPolicy.value      = v.quotaPolicy;
+  $syncSettings.checked = v.syncSettings;
+  $syncApiKeys.checked  = v.syncApiKeys;
+
+  for (const radio of $authModes) radio.checked = radio.value === v.authMode;
+  $oauthClientId.value = v.oauthClientId;
+  $apiBaseUrl.value    = v.apiBaseUrl;
+  $oauthAuthUrl.value  = v.oauthAuthUrl;
+  $oauthFields.classList.toggle("hidden", v.authMode !== "oauth");
+
+  renderTiers(v.tiers);
+  renderApiKeys(v.apiKeys);
 }
 
-// ── Save ─────────────────────────────────────────────────────────────────────
-$save.addEventListener("click", async () => {
-  const key = $apiKey.value.trim();
+// ── API keys ─────────────────────────────────────────────────────────────────
+function newKeyId() {
+  return `key-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`;
+}
+
+function apiKeyRow(entry) {
+  const tr = document.createElement("tr");
+  tr.dataset.id = entry.id || newKeyId();
+
+  const label = formInput("text", entry.label ?? "", {
+    className: "api-key-label", maxLength: 40, placeholder: "Label",
+  });
+  const key = formInput("password", entry.key ?? "", {
+    className: "api-key-value", placeholder: "AIza…", autocomplete: "off", spellcheck: false,
+  });
+
+  const toggle = document.createElement("button");
+  toggle.className = "btn btn--secondary btn--sm";
+  toggle.textContent = "Show";
+  toggle.title = "Show/hide key";
+  toggle.addEventListener("click", () => {
+    const hidden = key.type === "password";
+    key.type = hidden ? "text" : "password";
+    toggle.textContent = hidden ? "Hide" : "Show";
+  });
+
+  const status = document.createElement("span");
+  status.className = "status-msg";
+  status.setAttribute("aria-live", "polite");
+  const test = document.createElement("button");
+  test.className = "btn btn--secondary btn--sm";
+  test.textContent = "Test";
+  test.addEventListener("click", () => testApiKey(tr.dataset.id, key.value.trim(), test, status));
+
+  const remove = document.createElement("button");
+  remove.className = "link-btn";
+  remove.textContent = "Remove";
+  remove.addEventListener("click", () => {
+    tr.remove();
+    if ($apiKeyRows.rows.length === 0) renderApiKeys([]);
+    $addApiKey.disabled = $apiKeyRows.rows.length >= MAX_API_KEYS;
+  });
+
+  const keyCell = document.createElement("div");
+  keyCell.className = "input-row";
+  keyCell.append(key, toggle);
+  const testCell = document.createElement("div");
+  testCell.className = "input-row";
+  testCell.append(test, status);
+
+  for (const content of [label, keyCell, testCell, remove]) {
+    const td = document.createElement("td");
+    td.append(content);
+    tr.appendChild(td);
+  }
+  return tr;
+}
+
+// Always at least one (empty) row to type into
+function renderApiKeys(keys) {
+  const rows = keys.length > 0 ? keys : [{ label: "Default", key: "" }];
+  $apiKeyRows.replaceChildren(...rows.map(apiKeyRow));
+  $addApiKey.disabled = rows.length >= MAX_API_KEYS;
+}
+
+function readApiKeys() {
+  return [...$apiKeyRows.rows]
+    .map((tr, i) => ({
+      id: tr.dataset.id,
+      label: tr.querySelector(".api-key-label").value.trim() || `Key ${i + 1}`,
+      key: tr.querySelector(".api-key-value").value.trim(),
+    }))
+    .filter((k) => k.key);
+}
+
+async function testApiKey(keyId, apiKey, button, status) {
+  if (!apiKey) {
+    setStatus(status, "Enter an API key first.", "error");
+    return;
+  }
+
+  button.disabled = true;
+  setStatus(status, "Testing…", "info");
+
+  const resp = await chrome.runtime.sendMessage({ type: "TEST_API_KEY", apiKey, keyId });
+
+  button.disabled = false;
+  if (resp?.ok) {
+    setStatus(status, "Valid ✓", "ok");
+  } else if (resp?.exhausted) {
+    setStatus(status, "Valid, out of quota today", "error");
+  } else {
+    setStatus(status, `Invalid: ${resp?.error ?? "unknown error"}`, "error");
+  }
+  loadQuota();
+}
+
+$addApiKey.addEventListener("click", () => {
+  const keys = [...$apiKeyRows.rows].length;
+  $apiKeyRows.appendChild(apiKeyRow({ label: `Key ${keys + 1}`, key: "" }));
+  $addApiKey.disabled = keys + 1 >= MAX_API_KEYS;
+});
+
+// ── Activity tiers ───────────────────────────────────────────────────────────
+function formInput(type, value, attrs = {}) {
+  const input = document.createElement("input");
+  input.type = type;
+  if (type === "checkbox") input.checked = value;
+  else input.value = value;
+  Object.assign(input, attrs);
+  return input;
+}
+
+function tierRow(tier, first) {
+  const tr = document.createElement("tr");
+  tr.dataset.id = tier.id ?? "";
 
-  await chrome.storage.local.set({
-    apiKey:        key,
-    thresholdDays: Math.max(1, Number($thresholdDays.value) || DEFAULTS.thresholdDays),
-    cacheTtlHours: Math.max(1, Number($cacheTtlHours.value) || DEFAULTS.cacheTtlHours),
-    concurrency:   Math.max(1, Math.min(20, Number($concurrency.value) || DEFAULTS.concurrency)),
+  const remove = document.createElement("button");
+  remove.className = "link-btn";
+  remove.textContent = "Remove";
+  remove.addEventListener("click", () => {
+    tr.remove();
+    renderTiers(readTiers());
   });
 
-  setStatus($saveStatus, "Settings saved.", "ok");
+  const cells = [
+    formInput("text", tier.label, { className: "tier-label", maxLength: 30 }),
+    // The first tier always starts at 0 so every channel falls in one
+    formInput("number", first ? 0 : tier.minDays, {
+      className: "tier-days", min: 1, max: 3650, disabled: first,
+    }),
+    formInput("color", tier.color, { className: "tier-color" }),
+    formInput("checkbox", tier.flag, {
+      className: "tier-flag", title: "Flag these channels (unsubscribe button)",
+    }),
+    first ? "" : remove,
+  ];
+  for (const content of cells) {
+    const td = document.createElement("td");
+    td.append(content);
+    tr.appendChild(td);
+  }
+  return tr;
+}
+
+function renderTiers(tiers) {
+  const sorted = [...tiers].sort((a, b) => a.minDays - b.minDays);
+  $tierRows.replaceChildren(...sorted.map((tier, i) => tierRow(tier, i === 0)));
+  $addTier.disabled = sorted.length >= MAX_TIERS;
+}
+
+function readTiers() {
+  return [...$tierRows.rows].map((tr) => ({
+    id: tr.dataset.id,
+    label: tr.querySelector(".tier-label").value.trim(),
+    minDays: Math.max(0, Math.round(Number(tr.querySelector(".tier-days").value) || 0)),
+    color: tr.querySelector(".tier-color").value,
+    flag: tr.querySelector(".tier-flag").checked,
+  }));
+}
+
+$addTier.addEventListener("click", () => {
+  const tiers = readTiers();
+  const last = tiers[tiers.length - 1];
+  tiers.push({
+    id: "",
+    label: `Tier ${tiers.length + 1}`,
+    minDays: Math.min(3650, (last?.minDays ?? 0) + 365),
+    color: "#909090",
+    flag: last?.flag ?? false,
+  });
+  renderTiers(tiers);
 });
 
-// ── Toggle API key visibility ─────────────────────────────────────────────────
-$toggleKey.addEventListener("click", () => {
-  const hidden = $apiKey.type === "password";
-  $apiKey.type = hidden ? "text" : "password";
-  $toggleKey.textContent = hidden ? "Hide" : "Show";
+$resetTiers.addEventListener("click", () => renderTiers(DEFAULTS.tiers));
+
+// ── Upload kinds ─────────────────────────────────────────────────────────────
+$classifyUploads.addEventListener("change", () => {
+  $countedKinds.disabled = !$classifyUploads.checked;
 });
 
-// ── Test API key ─────────────────────────────────────────────────────────────
-$testKey.addEventListener("click", async () => {
-  const apiKey = $apiKey.value.trim();
-  if (!apiKey) {
-    setStatus($testStatus, "Enter an API key first.", "error");
+// ── API quota ────────────────────────────────────────────────────────────────
+async function loadQuota() {
+  const quota = await chrome.runtime.sendMessage({ type: "GET_QUOTA" });
+  if (!quota?.ok) {
+    $quotaUsage.textContent = "Could not load quota usage.";
     return;
   }
+  $quotaUsage.textContent =
+    `Today (${quota.day}, Pacific): ${quota.used.toLocaleString()} of ` +
+    `${quota.budget.toLocaleString()} units used, ${quota.remaining.toLocaleString()} left.` +
+    (quota.lostWrites
+      ? ` ${quota.lostWrites.count} call(s) couldn't be recorded (${quota.lostWrites.error}), ` +
+        "so the real usage is a little higher."
+      : "");
+  $quotaBreakdown.textContent = Object.entries(quota.byEndpoint)
+    .map(([endpoint, units]) => `${endpoint}: ${units.toLocaleString()}`)
+    .join(" · ");
+  // Per key only once there is more than one
+  const keys = quota.keys?.length > 1 ? quota.keys : [];
+  $quotaKeys.replaceChildren(
+    ...keys.map((k) => {
+      const li = document.createElement("li");
+      li.textContent = k.exhausted
+        ? `${k.label}: ${k.used.toLocaleString()} units used, out of quota until the reset`
+        : `${k.label}: ${k.used.toLocaleString()} units used, ${k.remaining.toLocaleString()} left`;
+      li.classList.toggle("exhausted", k.exhausted);
+      return li;
+    })
+  );
+}
+
+// ── Scheduled rescans ────────────────────────────────────────────────────────
+function describeRescan(last) {
+  if (!last) return "";
+  const when = new Date(last.time).toLocaleString();
+  if (last.error) return `Last run ${when} failed: ${last.error}.`;
+  if (last.cancelled) {
+    return `Last run ${when} was stopped after ${last.checked} of ${last.total} channels.`;
+  }
+  return `Last run ${when}: ${last.total} channels, ${last.died} went inactive, ` +
+    `${last.revived} came back.`;
+}
+
+async function loadRescanStatus() {
+  const resp = await chrome.runtime.sendMessage({ type: "GET_RESCAN_SCHEDULE" });
+  if (!resp?.ok) return;
+  const next = resp.next ? `Next run: ${new Date(resp.next).toLocaleString()}.` : "";
+  $rescanStatus.textContent = [next, describeRescan(resp.last)].filter(Boolean).join(" ");
+}
+
+$runRescan.addEventListener("click", async () => {
+  $runRescan.disabled = true;
+  $rescanStatus.textContent = "Re-checking every known channel…";
+  await chrome.runtime.sendMessage({ type: "RUN_RESCAN_NOW" });
+  $runRescan.disabled = false;
+  loadRescanStatus();
+  loadQuota();
+});
 
-  $testKey.disabled = true;
-  setStatus($testStatus, "Testing…", "info");
+// ── Sign-in mode ─────────────────────────────────────────────────────────────
+async function refreshAuthStatus() {
+  const resp = await chrome.runtime.sendMessage({ type: "OAUTH_STATUS" });
+  const signedIn = resp?.signedIn === true;
+  $signIn.classList.toggle("hidden", signedIn);
+  $signOut.classList.toggle("hidden", !signedIn);
+  $authStatus.textContent = signedIn ? "Signed in ✓" : "Not signed in";
+  $authStatus.className = `status-msg status-msg--${signedIn ? "ok" : "info"}`;
+}
 
-  const resp = await chrome.runtime.sendMessage({ type: "TEST_API_KEY", apiKey });
+for (const radio of $authModes) {
+  radio.addEventListener("change", () => {
+    $oauthFields.classList.toggle("hidden", selectedAuthMode() !== "oauth");
+  });
+}
+
+$signIn.addEventListener("click", async () => {
+  const access = requestStandInAccess();
+  const auth = authSettings();
+  if (!auth.oauthClientId) {
+    setStatus($authStatus, "Enter an OAuth client ID first.", "error");
+    return;
+  }
+  if (!(await access)) {
+    setStatus($authStatus, "Allow access to the local stand-in server first.", "error");
+    return;
+  }
+  await saveSettings(auth);
+
+  $signIn.disabled = true;
+  const resp = await chrome.runtime.sendMessage({ type: "OAUTH_SIGN_IN" });
+  $signIn.disabled = false;
 
-  $testKey.disabled = false;
   if (resp?.ok) {
-    setStatus($testStatus, "API key is valid ✓", "ok");
+    refreshAuthStatus();
   } else {
-    setStatus($testStatus, `Invalid: ${resp?.error ?? "unknown error"}`, "error");
+    setStatus($authStatus, `Sign-in failed: ${resp?.error ?? "unknown error"}`, "error");
+  }
+});
+
+$signOut.addEventListener("click", async () => {
+  await chrome.runtime.sendMessage({ type: "OAUTH_SIGN_OUT" });
+  refreshAuthStatus();
+});
+
+// ── Unsubscribe log ──────────────────────────────────────────────────────────
+async function loadLog() {
+  const { unsubscribeLog = [] } = await chrome.storage.local.get("unsubscribeLog");
+  const entries = unsubscribeLog.slice(-LOG_ROWS_SHOWN).reverse();
+
+  $logBody.replaceChildren(
+    ...entries.map((entry) => {
+      const tr = document.createElement("tr");
+      const cells = [
+        new Date(entry.time).toLocaleString(),
+        entry.name || entry.handle || entry.channelId || "?",
+        entry.outcome + (entry.dryRun ? " (dry run)" : ""),
+        entry.reason ?? "",
+      ];
+      for (const text of cells) {
+        const td = document.createElement("td");
+        td.textContent = text;
+        tr.appendChild(td);
+      }
+      tr.children[2].className = `log-outcome--${entry.outcome}`;
+      return tr;
+    })
+  );
+
+  $logTable.classList.toggle("hidden", entries.length === 0);
+  $logEmpty.classList.toggle("hidden", entries.length > 0);
+}
+
+// ── Save ─────────────────────────────────────────────────────────────────────
+$save.addEventListener("click", async () => {
+  const access = requestStandInAccess();
+  const apiKeys = readApiKeys();
+  if (new Set(apiKeys.map((k) => k.key)).size < apiKeys.length) {
+    setStatus($saveStatus, "The same API key is listed twice.", "error");
+    return;
+  }
+
+  const tiers = readTiers();
+  if (tiers.some((t) => !t.label)) {
+    setStatus($saveStatus, "Every activity tier needs a name.", "error");
+    return;
+  }
+  if (new Set(tiers.map((t) => t.minDays)).size < tiers.length) {
+    setStatus($saveStatus, "Two activity tiers start at the same day.", "error");
+    return;
+  }
+
+  if (!(await access)) {
+    setStatus($saveStatus, "A local API base URL needs access to that host.", "error");
+    return;
   }
+
+  // Clamped and defaulted by the settings module; empty fields mean default
+  const { adopted } = await saveSettings({
+    ...authSettings(),
+    apiKeys,
+    tiers,
+    dataSource:    $dataSource.value,
+    cacheTtlHours: $cacheTtlHours.value,
+    evictAfterScans: $evictAfterScans.value,
+    concurrency:   $concurrency.value,
+    cadenceAnalysis: $cadenceAnalysis.checked,
+    cadenceFactor: $cadenceFactor.value,
+    classifyUploads: $classifyUploads.checked,
+    countedKinds: countedKinds(),
+    rescanSchedule: $rescanSchedule.value,
+    notifyInactive: $notifyInactive.checked,
+    notifyRevived:  $notifyRevived.checked,
+    snoozeDays:    $snoozeDays.value,
+    unsubscribeDelaySec: $unsubscribeDelaySec.value,
+    unsubscribeDryRun:   $unsubscribeDryRun.checked,
+    dailyQuotaBudget: $dailyQuotaBudget.value,
+    quotaPolicy:      $quotaPolicy.value,
+    syncSettings: $syncSettings.checked,
+    syncApiKeys:  $syncApiKeys.checked,
+  });
+
+  setStatus(
+    $saveStatus,
+    adopted ? "Sync turned on – loaded the settings synced from your other browsers." : "Settings saved.",
+    "ok"
+  );
+  // Shows the values as stored: clamped, defaulted or adopted from sync
+  await load();
+  loadQuota();
+  // The service worker moves the alarm when the schedule changes
+  setTimeout(loadRescanStatus, 500);
 });
 
-// ── Clear cache ───────────────────────────────────────────────────────────────
+// ── Cache ─────────────────────────────────────────────────────────────────────
+async function loadCacheStats() {
+  const resp = await chrome.runtime.sendMessage({ type: "GET_CACHE_STATS" });
+  if (!resp?.ok) return;
+  $cacheStats.textContent =
+    `${resp.total} channels cached: ${resp.stale} older than the TTL, ` +
+    `${resp.noUploads} without uploads.`;
+}
+
 $clearCache.addEventListener("click", async () => {
   const resp = await chrome.runtime.sendMessage({ type: "CLEAR_CACHE" });
   if (resp?.ok) {
     setStatus($saveStatus, `Cache cleared (${resp.cleared} entries).`, "ok");
+    loadCacheStats();
   } else {
     setStatus($saveStatus, "Failed to clear cache.", "error");
   }
 });
 
+// ── Export scan results ──────────────────────────────────────────────────────
+for (const btn of $exportButtons) {
+  btn.addEventListener("click", async () => {
+    const resp = await chrome.runtime.sendMessage({
+      type: "EXPORT_RESULTS",
+      format: btn.dataset.format,
+      filter: $exportFilter.value,
+    });
+    if (!resp?.ok) {
+      setStatus($exportStatus, "Export failed.", "error");
+    } else if (resp.count === 0) {
+      setStatus($exportStatus, "Nothing to export for this filter.", "info");
+    } else {
+      downloadFile(resp.filename, resp.text, resp.mime);
+      setStatus($exportStatus, `Exported ${resp.count} channels.`, "ok");
+    }
+  });
+}
+
+// ── Back up settings ─────────────────────────────────────────────────────────
+$exportSettings.addEventListener("click", async () => {
+  const resp = await chrome.runtime.sendMessage({
+    type: "EXPORT_SETTINGS",
+    includeApiKeys: $exportApiKeys.checked,
+  });
+  if (!resp?.ok) {
+    setStatus($backupStatus, "Export failed.", "error");
+    return;
+  }
+  downloadFile(resp.filename, resp.text, resp.mime);
+  setStatus($backupStatus, "Settings exported.", "ok");
+});
+
+$importSettings.addEventListener("change", async () => {
+  const file = $importSettings.files[0];
+  $importSettings.value = "";
+  if (!file) return;
+
+  let data;
+  try {
+    data = JSON.parse(await file.text());
+  } catch {
+    setStatus($backupStatus, "That file isn't valid JSON.", "error");
+    return;
+  }
+
+  const resp = await chrome.runtime.sendMessage({ type: "IMPORT_SETTINGS", data });
+  if (resp?.ok) {
+    setStatus(
+      $backupStatus,
+      `Imported ${resp.settings} settings and ${resp.overrides} channel overrides.`,
+      "ok"
+    );
+    load();
+    loadQuota();
+    setTimeout(loadRescanStatus, 500);
+  } else {
+    setStatus($backupStatus, `Import failed: ${resp?.error ?? "unknown error"}`, "error");
+  }
+});
+
+// ── Clear unsubscribe log ─────────────────────────────────────────────────────
+$clearLog.addEventListener("click", async () => {
+  await chrome.runtime.sendMessage({ type: "CLEAR_UNSUBSCRIBE_LOG" });
+  loadLog();
+});
+
+// ── Open dashboard ────────────────────────────────────────────────────────────
+$openDashboard.addEventListener("click", () => {
+  chrome.runtime.sendMessage({ type: "OPEN_DASHBOARD" });
+});
+
 // ── Init ──────────────────────────────────────────────────────────────────────
+$redirectUri.textContent = chrome.identity.getRedirectURL();
 load();
+loadQuota();
+loadCacheStats();
+loadRescanStatus();
+loadLog();
+refreshAuthStatus();
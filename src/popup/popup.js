@@ -1,4 +1,5 @@
-"use strict";
+import { loadSettings } from "../shared/settings.js";
+import { downloadFile } from "../shared/download.js";
 
 // ── DOM refs ────────────────────────────────────────────────────────────────
 const $wrongPage       = document.getElementById("wrong-page");
@@ -7,9 +8,30 @@ const $keyStatus       = document.getElementById("keyStatus");
 const $summarySection  = document.getElementById("summary-section");
 const $lastScan        = document.getElementById("lastScan");
 const $totalChannels   = document.getElementById("totalChannels");
-const $inactiveChannels = document.getElementById("inactiveChannels");
+const $tierCounts      = document.getElementById("tierCounts");
 const $scanBtn         = document.getElementById("scanBtn");
+const $snapshotBtn     = document.getElementById("snapshotBtn");
+const $unsubBtn        = document.getElementById("unsubBtn");
 const $scanStatus      = document.getElementById("scanStatus");
+const $oauthSection    = document.getElementById("oauth-section");
+const $authStatus      = document.getElementById("authStatus");
+const $scanAllBtn      = document.getElementById("scanAllBtn");
+const $scanAllStatus   = document.getElementById("scanAllStatus");
+const $progressSection = document.getElementById("progress-section");
+const $scanProgress    = document.getElementById("scanProgress");
+const $scanProgressBar = document.getElementById("scanProgressBar");
+const $cancelScanBtn   = document.getElementById("cancelScanBtn");
+const $jobSection      = document.getElementById("job-section");
+const $jobProgress     = document.getElementById("jobProgress");
+const $jobDetail       = document.getElementById("jobDetail");
+const $resumeJobBtn    = document.getElementById("resumeJobBtn");
+const $cancelJobBtn    = document.getElementById("cancelJobBtn");
+const $quotaUsage      = document.getElementById("quotaUsage");
+const $exportFilter    = document.getElementById("exportFilter");
+const $exportButtons   = document.querySelectorAll("[data-format]");
+const $exportStatus    = document.getElementById("exportStatus");
+const $dashboardBtn    = document.getElementById("dashboardBtn");
+const $snapshotsBtn    = document.getElementById("snapshotsBtn");
 const $optionsBtn      = document.getElementById("optionsBtn");
 
 // ── Helpers ──────────────────────────────────────────────────────────────────
@@ -31,11 +53,136 @@ function hide(el) { el.classList.add("hidden"); }
 function renderSummary(summary) {
   if (!summary) return;
   show($summarySection);
-  $lastScan.textContent      = formatTime(summary.time);
+  $lastScan.textContent      =
+    formatTime(summary.time) + (summary.cancelled ? " (stopped)" : "");
   $totalChannels.textContent = summary.total;
-  $inactiveChannels.textContent = summary.inactive;
-  $inactiveChannels.className =
-    `value ${summary.inactive > 0 ? "value--warn" : "value--ok"}`;
+  // Summaries saved before activity tiers only have the flagged count
+  const tiers = summary.tiers?.length ? summary.tiers : [
+    { label: "Inactive", color: null, flag: true, count: summary.inactive },
+  ];
+  $tierCounts.replaceChildren(...tiers.map(tierRow));
+  renderUnsubscribeButton(summary.inactive);
+}
+
+function tierRow(tier) {
+  const row = document.createElement("div");
+  row.className = "row";
+  const label = document.createElement("span");
+  label.className = "label";
+  if (tier.color) {
+    const dot = document.createElement("span");
+    dot.className = "tier-dot";
+    dot.style.background = tier.color;
+    label.appendChild(dot);
+  }
+  label.append(tier.flag ? `${tier.label} (flagged)` : tier.label);
+  const value = document.createElement("span");
+  value.className = `value ${tier.flag && tier.count > 0 ? "value--warn" : ""}`;
+  value.textContent = tier.count;
+  row.append(label, value);
+  return row;
+}
+
+// ── Quota usage ───────────────────────────────────────────────────────────────
+async function renderQuota() {
+  const quota = await chrome.runtime.sendMessage({ type: "GET_QUOTA" });
+  if (!quota?.ok) return;
+  $quotaUsage.textContent =
+    `${quota.used.toLocaleString()} / ${quota.budget.toLocaleString()} units`;
+  // By what's left: an API key Google cut off early leaves nothing of its share
+  const ratio = quota.budget > 0 ? 1 - quota.remaining / quota.budget : 1;
+  $quotaUsage.className =
+    `value ${ratio >= 1 ? "value--error" : ratio >= 0.8 ? "value--warn" : "muted"}`;
+  $quotaUsage.title = [
+    `${quota.remaining.toLocaleString()} units left until midnight Pacific time`,
+    ...(quota.keys?.length > 1 ? quota.keys : []).map((k) =>
+      `${k.label}: ${k.exhausted ? "out of quota" : `${k.remaining.toLocaleString()} left`}`
+    ),
+    ...(quota.lostWrites
+      ? [`${quota.lostWrites.count} call(s) went unrecorded: ${quota.lostWrites.error}`]
+      : []),
+  ].join("\n");
+}
+
+// ── Live scan progress ───────────────────────────────────────────────────────
+// Pushed by the background over a scan port for as long as the popup is open.
+// The same port cancels, explicitly all of them: the background stops every
+// running scan and keeps the results they already have.
+let scanPort = null;
+
+function watchScanProgress() {
+  scanPort = chrome.runtime.connect({ name: "ytsc-scan" });
+  scanPort.onMessage.addListener((msg) => {
+    if (msg.type !== "PROGRESS") return;
+    if (!msg.scanning) {
+      // Ready for the next scan
+      $cancelScanBtn.disabled = false;
+      $cancelScanBtn.textContent = "Stop scan";
+      hide($cancelScanBtn);
+      if (msg.cancelled) {
+        $scanProgress.textContent = `Stopped – ${msg.done} of ${msg.total} checked`;
+      } else {
+        hide($progressSection);
+      }
+      renderQuota();
+      renderScanJob();
+      return;
+    }
+    show($progressSection);
+    show($cancelScanBtn);
+    $scanProgress.textContent = msg.listing
+      ? "Listing subscriptions…"
+      : `${msg.done} of ${msg.total} checked`;
+    $scanProgressBar.max = msg.total || 1;
+    $scanProgressBar.value = msg.done;
+  });
+  scanPort.postMessage({ type: "WATCH" });
+}
+
+$cancelScanBtn.addEventListener("click", () => {
+  scanPort?.postMessage({ type: "CANCEL_ALL" });
+  $cancelScanBtn.disabled = true;
+  $cancelScanBtn.textContent = "Stopping…";
+});
+
+// ── Scan job ──────────────────────────────────────────────────────────────────
+async function renderScanJob() {
+  const resp = await chrome.runtime.sendMessage({ type: "GET_SCAN_JOB" });
+  const job = resp?.job;
+  if (!job) {
+    hide($jobSection);
+    return;
+  }
+  show($jobSection);
+  $jobProgress.textContent =
+    `${job.checked} / ${job.total} checked, resumes at ${formatTime(job.resumeAt)}`;
+  $jobDetail.textContent = job.lastError
+    ? `Last attempt failed: ${job.lastError}`
+    : `${job.pending} channels wait for the daily quota to reset.`;
+}
+
+$resumeJobBtn.addEventListener("click", async () => {
+  $resumeJobBtn.disabled = true;
+  $jobDetail.textContent = "Checking…";
+  await chrome.runtime.sendMessage({ type: "RESUME_SCAN_JOB" });
+  $resumeJobBtn.disabled = false;
+  renderScanJob();
+  renderQuota();
+});
+
+$cancelJobBtn.addEventListener("click", async () => {
+  await chrome.runtime.sendMessage({ type: "CANCEL_SCAN_JOB" });
+  renderScanJob();
+});
+
+// ── Unsubscribe button (needs a second click to confirm) ─────────────────────
+let unsubArmed = false;
+
+function renderUnsubscribeButton(inactive) {
+  unsubArmed = false;
+  $unsubBtn.textContent = `Unsubscribe flagged (${inactive})`;
+  if (inactive > 0) show($unsubBtn);
+  else hide($unsubBtn);
 }
 
 // ── Check if currently on the right YouTube page ─────────────────────────────
@@ -48,23 +195,53 @@ function isChannelsPage(url) {
   return url?.startsWith("https://www.youtube.com/feed/channels");
 }
 
+// ── OAuth mode ────────────────────────────────────────────────────────────────
+async function initOAuth() {
+  show($oauthSection);
+  const resp = await chrome.runtime.sendMessage({ type: "OAUTH_STATUS" });
+  if (resp?.signedIn) {
+    $authStatus.textContent = "Signed in ✓";
+    $authStatus.className = "value value--ok";
+    $scanAllBtn.disabled = false;
+  } else {
+    $authStatus.textContent = "Not signed in";
+    $authStatus.className = "value value--error";
+    setStatus($scanAllStatus, "Sign in from Options first.", "error");
+  }
+}
+
 // ── Init ──────────────────────────────────────────────────────────────────────
 async function init() {
+  renderQuota();
+  renderScanJob();
+  watchScanProgress();
+
+  const settings = await loadSettings();
+  const oauth = settings.authMode === "oauth";
+  if (oauth) initOAuth();
+
   const tab = await getActiveTab();
 
   if (!isChannelsPage(tab?.url)) {
-    show($wrongPage);
+    if (!oauth) show($wrongPage);
     return;
   }
 
   show($onPage);
 
   // Check API key status
-  const settings = await chrome.storage.local.get(["apiKey"]);
-  if (settings.apiKey) {
+  if (oauth) {
+    $keyStatus.textContent = "Not needed (signed-in mode)";
+    $keyStatus.className = "value muted";
+    $scanBtn.disabled = false;
+  } else if (settings.apiKeys.length > 0) {
     $keyStatus.textContent = "Configured ✓";
     $keyStatus.className = "value value--ok";
     $scanBtn.disabled = false;
+  } else if (settings.dataSource !== "api") {
+    $keyStatus.textContent = "Not needed (RSS feeds)";
+    $keyStatus.className = "value muted";
+    $scanBtn.disabled = false;
   } else {
     $keyStatus.textContent = "Not configured";
     $keyStatus.className = "value value--error";
@@ -78,12 +255,12 @@ async function init() {
   // Try to get live state from content script
   try {
     const state = await chrome.tabs.sendMessage(tab.id, { type: "GET_STATE" });
+    if (state?.unsubscribing) {
+      $unsubBtn.disabled = true;
+      setStatus($scanStatus, "Unsubscribe in progress on the page…", "info");
+    }
     if (state?.ok && state.lastScanAt) {
-      renderSummary({
-        time: state.lastScanAt,
-        total: state.summary.total,
-        inactive: state.summary.inactive,
-      });
+      renderSummary({ time: state.lastScanAt, ...state.summary });
     }
   } catch {
     // Content script not yet ready; stored summary is fine
@@ -99,11 +276,14 @@ $scanBtn.addEventListener("click", async () => {
   try {
     const resp = await chrome.tabs.sendMessage(tab.id, { type: "SCAN_NOW" });
     if (resp?.ok) {
-      setStatus($scanStatus, "Done ✓", "ok");
+      setStatus($scanStatus, resp.cancelled ? "Stopped – partial results kept." : "Done ✓", "ok");
+      renderQuota();
+      renderScanJob();
       renderSummary({
+        total: 0,
+        inactive: 0,
+        ...resp.summary,
         time: resp.lastScanAt || Date.now(),
-        total: resp.summary?.total ?? 0,
-        inactive: resp.summary?.inactive ?? 0,
       });
     } else {
       setStatus($scanStatus, "Scan failed.", "error");
@@ -119,6 +299,124 @@ $scanBtn.addEventListener("click", async () => {
   $scanBtn.disabled = false;
 });
 
+// ── Scan all subscriptions (OAuth mode) ───────────────────────────────────────
+$scanAllBtn.addEventListener("click", async () => {
+  $scanAllBtn.disabled = true;
+  setStatus($scanAllStatus, "Scanning…", "info");
+
+  const resp = await chrome.runtime.sendMessage({ type: "SCAN_SUBSCRIPTIONS" });
+  if (resp?.ok && resp.cancelled && Object.keys(resp.result).length === 0) {
+    setStatus($scanAllStatus, "Stopped before any channel was checked.", "ok");
+  } else if (resp?.ok) {
+    const { lastScanSummary: summary } =
+      await chrome.storage.local.get("lastScanSummary");
+    setStatus(
+      $scanAllStatus,
+      `${summary.cancelled ? "Stopped –" : "Done ✓"} ${summary.total} channels, ` +
+        `${summary.inactive} inactive.`,
+      "ok"
+    );
+    renderSummary(summary);
+    renderQuota();
+    renderScanJob();
+  } else if (resp?.error === "QUOTA_BUDGET_EXCEEDED") {
+    setStatus(
+      $scanAllStatus,
+      `Needs ~${resp.estimate} units, only ${resp.remaining} left in today's budget.`,
+      "error"
+    );
+  } else if (resp?.error === "AUTH_REQUIRED") {
+    setStatus($scanAllStatus, "Sign-in expired – sign in again from Options.", "error");
+  } else {
+    setStatus($scanAllStatus, `Scan failed: ${resp?.error ?? "unknown error"}`, "error");
+  }
+
+  $scanAllBtn.disabled = false;
+});
+
+// ── Take snapshot ─────────────────────────────────────────────────────────────
+$snapshotBtn.addEventListener("click", async () => {
+  $snapshotBtn.disabled = true;
+  const tab = await getActiveTab();
+  try {
+    const resp = await chrome.tabs.sendMessage(tab.id, { type: "TAKE_SNAPSHOT" });
+    if (resp?.ok) {
+      setStatus($scanStatus, `Snapshot saved (${resp.count} channels).`, "ok");
+    } else {
+      setStatus($scanStatus, "Snapshot failed.", "error");
+    }
+  } catch {
+    setStatus($scanStatus, "Could not reach the page. Try refreshing it.", "error");
+  }
+  $snapshotBtn.disabled = false;
+});
+
+// ── Unsubscribe flagged ───────────────────────────────────────────────────────
+$unsubBtn.addEventListener("click", async () => {
+  if (!unsubArmed) {
+    unsubArmed = true;
+    const { unsubscribeDryRun } = await loadSettings();
+    $unsubBtn.textContent = unsubscribeDryRun
+      ? "Click again to start (dry run)"
+      : "Click again to unsubscribe for real";
+    return;
+  }
+
+  $unsubBtn.disabled = true;
+  const tab = await getActiveTab();
+  try {
+    const resp = await chrome.tabs.sendMessage(tab.id, { type: "UNSUBSCRIBE_FLAGGED" });
+    if (resp?.ok) {
+      setStatus(
+        $scanStatus,
+        `Queued ${resp.queued} channel${resp.queued !== 1 ? "s" : ""}` +
+          `${resp.dryRun ? " (dry run)" : ""} – progress shows on the page.`,
+        "ok"
+      );
+    } else if (resp?.error === "ALREADY_RUNNING") {
+      setStatus($scanStatus, "An unsubscribe run is already in progress.", "error");
+    } else if (resp?.error === "EXTENSION_UNAVAILABLE") {
+      setStatus($scanStatus, "The extension isn't responding. Try refreshing the page.", "error");
+      $unsubBtn.disabled = false;
+    } else {
+      setStatus($scanStatus, "No flagged channels on the page.", "error");
+      $unsubBtn.disabled = false;
+    }
+  } catch {
+    setStatus($scanStatus, "Could not reach the page. Try refreshing it.", "error");
+    $unsubBtn.disabled = false;
+  }
+});
+
+// ── Export ────────────────────────────────────────────────────────────────────
+for (const btn of $exportButtons) {
+  btn.addEventListener("click", async () => {
+    const resp = await chrome.runtime.sendMessage({
+      type: "EXPORT_RESULTS",
+      format: btn.dataset.format,
+      filter: $exportFilter.value,
+    });
+    if (!resp?.ok) {
+      setStatus($exportStatus, "Export failed.", "error");
+    } else if (resp.count === 0) {
+      setStatus($exportStatus, "Nothing to export for this filter.", "info");
+    } else {
+      downloadFile(resp.filename, resp.text, resp.mime);
+      setStatus($exportStatus, `Exported ${resp.count} channels.`, "ok");
+    }
+  });
+}
+
+// ── Open Dashboard ───────────────────────────────────────────────────────────
+$dashboardBtn.addEventListener("click", () => {
+  chrome.runtime.sendMessage({ type: "OPEN_DASHBOARD" });
+});
+
+// ── Open Snapshots ────────────────────────────────────────────────────────────
+$snapshotsBtn.addEventListener("click", () => {
+  chrome.runtime.sendMessage({ type: "OPEN_SNAPSHOTS" });
+});
+
 // ── Open Options ──────────────────────────────────────────────────────────────
 $optionsBtn.addEventListener("click", () => {
   chrome.runtime.openOptionsPage();
@@ -0,0 +1,21 @@
+/**
+ * Saving files from the extension pages (popup, options, snapshots). The
+ * content scripts have their own copy, ytscDownloadFile in dom.js.
+ */
+
+/**
+ * Saves `text` as a file through a temporary object URL.
+ * @param {string} filename
+ * @param {string} text
+ * @param {string} mime
+ */
+export function downloadFile(filename, text, mime) {
+  const url = URL.createObjectURL(new Blob([text], { type: mime }));
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
@@ -0,0 +1,367 @@
+/**
+ * Settings: defaults, validation and migrations in one place, shared by the
+ * service worker, the options page and the popup (all ES modules).
+ *
+ * Each setting is its own key in chrome.storage.local, next to
+ * `settingsVersion` – the schema version they were last written in. Reading
+ * older settings runs the MIGRATIONS in between and writes the result back.
+ *
+ * With `syncSettings` on, every save is also copied to chrome.storage.sync
+ * (one item, `settings`) and changes arriving from other devices are applied
+ * by the service worker. API keys are secrets: they only travel when both
+ * the sending and the receiving device have `syncApiKeys` on.
+ */
+
+import { DEFAULT_TIERS, defaultTiers, normalizeTiers, flagThresholdDays } from "./tiers.js";
+import { UPLOAD_KINDS } from "./uploadKinds.js";
+
+export const SETTINGS_VERSION = 2;
+
+export const DEFAULTS = {
+  // Labelled Data API keys, tried in order (see youtubeApi.js)
+  apiKeys: [],
+  // Where last upload dates come from: "api", "rss" (channel feeds, no
+  // quota) or "rssFallback" (feeds, the API where a feed fails)
+  dataSource: "api",
+  cacheTtlHours: 24,
+  // Drop cached channels missing from this many subscriptions-page visits in
+  // a row (unsubscribed elsewhere, most likely); 0 keeps them forever
+  evictAfterScans: 10,
+  concurrency: 6,
+  unsubscribeDelaySec: 5,
+  unsubscribeDryRun: true,
+  snoozeDays: 90,
+  authMode: "apiKey",
+  oauthClientId: "",
+  // Both overridable so OAuth mode can be exercised against a local stand-in
+  // (nothing else: see endpoint() below); never leave the device
+  apiBaseUrl: "https://www.googleapis.com/youtube/v3",
+  oauthAuthUrl: "https://accounts.google.com/o/oauth2/v2/auth",
+  // Units per Pacific-time day this extension may spend (Google's default
+  // project quota is 10,000), and what to do with a scan that won't fit:
+  // "trim" it to what's left, or "refuse" it outright
+  dailyQuotaBudget: 10000,
+  quotaPolicy: "trim",
+  // Fetch recent uploads to learn each channel's usual upload interval, and
+  // flag channels silent for more than cadenceFactor × that interval
+  cadenceAnalysis: false,
+  cadenceFactor: 4,
+  // Look up recent uploads with videos.list to tell long-form, Shorts and
+  // livestreams apart; only countedKinds then count toward inactivity
+  classifyUploads: false,
+  countedKinds: UPLOAD_KINDS,
+  // Re-check every cached channel in the background ("off", "daily",
+  // "weekly" or "monthly") and notify about channels that changed state
+  rescanSchedule: "off",
+  notifyInactive: true,
+  notifyRevived: true,
+  tiers: DEFAULT_TIERS,
+  // Copy settings to chrome.storage.sync; API keys only with syncApiKeys
+  syncSettings: false,
+  syncApiKeys: false,
+};
+
+// Never leave the device in exports (unless asked) or sync (unless allowed)
+export const SECRET_KEYS = ["apiKeys"];
+
+// Never exported or synced: this device's sync switches, and the endpoints,
+// which only ever point away from Google at a stand-in on this machine
+const DEVICE_KEYS = ["syncSettings", "syncApiKeys", "apiBaseUrl", "oauthAuthUrl"];
+
+// Settings that only older versions stored
+const LEGACY_KEYS = ["thresholdDays", "apiKey"];
+
+const SYNC_KEY = "settings";
+
+// `format` of exported settings files
+export const SETTINGS_FILE_FORMAT = "ytsc-settings";
+
+// Where a local stand-in server for offline testing may run; reaching one
+// takes the matching optional host permission (see manifest.json)
+const STAND_IN_HOSTS = ["localhost", "127.0.0.1"];
+
+/**
+ * The optional host permission requests to `url` need, e.g.
+ * "http://localhost/*", or null when it isn't a local stand-in.
+ * @param {string} url
+ * @returns {string|null}
+ */
+export function standInPermission(url) {
+  try {
+    const { protocol, hostname } = new URL(url);
+    return ["http:", "https:"].includes(protocol) && STAND_IN_HOSTS.includes(hostname)
+      ? `${protocol}//${hostname}/*`
+      : null;
+  } catch {
+    return null;
+  }
+}
+
+// ── Validation ──────────────────────────────────────────────────────────────
+// Each rule returns the cleaned value, or undefined to fall back to the
+// default. Empty strings from the options form mean "use the default".
+
+const num = (min, max) => (v) => {
+  if (v === "" || v == null || typeof v === "boolean") return undefined;
+  const n = Number(v);
+  return Number.isFinite(n) ? Math.min(max, Math.max(min, n)) : undefined;
+};
+const int = (min, max) => (v) => {
+  const n = num(min, max)(v);
+  return n === undefined ? undefined : Math.round(n);
+};
+const bool = (v) => (typeof v === "boolean" ? v : undefined);
+const oneOf = (...values) => (v) => (values.includes(v) ? v : undefined);
+const text = (v) => (typeof v === "string" ? v.trim() : undefined);
+// An endpoint URL on the given Google host (https only) or a local stand-in;
+// credentials go wherever these point, so nothing else is accepted
+const endpoint = (googleHost) => (v) => {
+  if (typeof v !== "string" || !v.trim()) return undefined;
+  try {
+    const url = new URL(v.trim());
+    const google = url.protocol === "https:" && url.hostname === googleHost && !url.port;
+    return google || standInPermission(url.href) ? v.trim().replace(/\/+$/, "") : undefined;
+  } catch {
+    return undefined;
+  }
+};
+
+const RULES = {
+  apiKeys: (v) => (Array.isArray(v) ? normalizeApiKeys(v) : undefined),
+  dataSource: oneOf("api", "rss", "rssFallback"),
+  cacheTtlHours: int(1, 168),
+  evictAfterScans: int(0, 100),
+  concurrency: int(1, 20),
+  unsubscribeDelaySec: int(1, 120),
+  unsubscribeDryRun: bool,
+  snoozeDays: int(1, 3650),
+  authMode: oneOf("apiKey", "oauth"),
+  oauthClientId: text,
+  apiBaseUrl: endpoint("www.googleapis.com"),
+  oauthAuthUrl: endpoint("accounts.google.com"),
+  dailyQuotaBudget: int(0, 1000000),
+  quotaPolicy: oneOf("trim", "refuse"),
+  cadenceAnalysis: bool,
+  // Half steps allowed (see the options form)
+  cadenceFactor: num(2, 50),
+  classifyUploads: bool,
+  // At least one kind has to count, or every channel would look inactive
+  countedKinds: (v) => {
+    if (!Array.isArray(v)) return undefined;
+    const kinds = UPLOAD_KINDS.filter((kind) => v.includes(kind));
+    return kinds.length > 0 ? kinds : undefined;
+  },
+  rescanSchedule: oneOf("off", "daily", "weekly", "monthly"),
+  notifyInactive: bool,
+  notifyRevived: bool,
+  tiers: (v) => (Array.isArray(v) ? normalizeTiers(v) : undefined),
+  syncSettings: bool,
+  syncApiKeys: bool,
+};
+
+/**
+ * Cleans up the API key list: drops blank keys, gives each a label and a
+ * unique ID (the quota ledger tracks usage by ID, so it survives relabelling).
+ * @param {Array<{ id?, label?, key }>} keys
+ * @returns {Array<{ id: string, label: string, key: string }>}
+ */
+export function normalizeApiKeys(keys) {
+  const seen = new Set();
+  return keys
+    .filter((k) => typeof k?.key === "string" && k.key.trim())
+    .map((k, i) => {
+      let id = String(k.id || `key-${i + 1}`);
+      for (let n = 2; seen.has(id); n++) id = `key-${i + 1}-${n}`;
+      seen.add(id);
+      return { id, label: String(k.label ?? "").trim() || `Key ${i + 1}`, key: k.key.trim() };
+    });
+}
+
+/**
+ * Keeps the known settings with valid values, cleaned up; drops the rest.
+ * @param {object} values
+ * @returns {object}
+ */
+export function validateSettings(values) {
+  const clean = {};
+  for (const [key, value] of Object.entries(values ?? {})) {
+    const cleaned = RULES[key]?.(value);
+    if (cleaned !== undefined) clean[key] = cleaned;
+  }
+  return clean;
+}
+
+// ── Migrations ──────────────────────────────────────────────────────────────
+// MIGRATIONS[n] turns version n settings into version n + 1. Append only.
+
+const MIGRATIONS = [
+  // 0 → 1: the single inactivity threshold became activity tiers
+  (s) => {
+    if (s.tiers === undefined && s.thresholdDays !== undefined) {
+      s.tiers = defaultTiers(Number(s.thresholdDays) || 365);
+    }
+    delete s.thresholdDays;
+  },
+  // 1 → 2: the single API key became a list of labelled keys
+  (s) => {
+    if (s.apiKeys === undefined && s.apiKey) {
+      s.apiKeys = [{ label: "Default", key: s.apiKey }];
+    }
+    delete s.apiKey;
+  },
+];
+
+/**
+ * Brings settings saved by an older version up to date.
+ * @param {object} values
+ * @param {number} version – the schema version they were saved in
+ * @returns {object} a migrated copy
+ */
+export function migrateSettings(values, version = 0) {
+  const migrated = { ...values };
+  for (let v = version; v < MIGRATIONS.length; v++) MIGRATIONS[v](migrated);
+  return migrated;
+}
+
+// ── Storage ─────────────────────────────────────────────────────────────────
+
+/**
+ * Every setting with defaults filled in, plus `thresholdDays` – where the
+ * first flagged tier starts. Migrates what's stored first, if needed.
+ * @returns {Promise<object>}
+ */
+export async function loadSettings() {
+  const stored = await chrome.storage.local.get([
+    ...Object.keys(DEFAULTS),
+    ...LEGACY_KEYS,
+    "settingsVersion",
+  ]);
+  const { settingsVersion = 0, ...values } = stored;
+
+  const clean = validateSettings(migrateSettings(values, settingsVersion));
+  if (settingsVersion < SETTINGS_VERSION) {
+    await chrome.storage.local.set({ ...clean, settingsVersion: SETTINGS_VERSION });
+    // Along with whatever didn't survive validation
+    const dropped = Object.keys(values).filter((key) => !(key in clean));
+    await chrome.storage.local.remove([...new Set([...LEGACY_KEYS, ...dropped])]);
+  }
+
+  const settings = { ...DEFAULTS, ...clean };
+  settings.thresholdDays = flagThresholdDays(settings.tiers);
+  return settings;
+}
+
+/**
+ * Validates and stores settings (only the ones given; an empty string resets
+ * one to its default), then copies them to chrome.storage.sync if sync is on.
+ *
+ * Turning sync on adopts what other devices have synced, if anything,
+ * rather than overwriting it; the result says so with `adopted`.
+ *
+ * @param {object} values
+ * @returns {Promise<{ adopted: boolean }>}
+ */
+export async function saveSettings(values) {
+  const before = await loadSettings();
+  await chrome.storage.local.set({ ...validateSettings(values), settingsVersion: SETTINGS_VERSION });
+  // An emptied field goes back to the default
+  const cleared = Object.keys(values).filter((key) => key in DEFAULTS && values[key] === "");
+  if (cleared.length > 0) await chrome.storage.local.remove(cleared);
+
+  const settings = await loadSettings();
+  if (!settings.syncSettings) return { adopted: false };
+  if (!before.syncSettings && (await pullSyncedSettings())) return { adopted: true };
+  await pushSyncedSettings(settings);
+  return { adopted: false };
+}
+
+/**
+ * The settings that may leave this device, without secrets unless asked.
+ * @param {object}  settings
+ * @param {boolean} includeSecrets
+ * @returns {object}
+ */
+export function shareableSettings(settings, includeSecrets) {
+  const shared = {};
+  for (const key of Object.keys(DEFAULTS)) {
+    if (DEVICE_KEYS.includes(key)) continue;
+    if (SECRET_KEYS.includes(key) && !includeSecrets) continue;
+    shared[key] = settings[key];
+  }
+  return shared;
+}
+
+/**
+ * Builds a settings file: the shareable settings plus per-channel overrides.
+ * @param {object}  settings
+ * @param {object}  overrides       channelId → override entry
+ * @param {boolean} includeApiKeys
+ * @returns {{ filename: string, mime: string, text: string }}
+ */
+export function buildSettingsFile(settings, overrides, includeApiKeys) {
+  const date = new Date().toISOString().slice(0, 10);
+  const file = {
+    format: SETTINGS_FILE_FORMAT,
+    version: SETTINGS_VERSION,
+    exportedAt: Date.now(),
+    settings: shareableSettings(settings, includeApiKeys),
+    overrides,
+  };
+  return {
+    filename: `yt-subscriptions-cleaner-settings-${date}.json`,
+    mime: "application/json",
+    text: JSON.stringify(file, null, 2),
+  };
+}
+
+/**
+ * Reads an imported settings file, migrating settings from older versions.
+ * Throws on anything this version can't read.
+ * @param {object} data – parsed JSON
+ * @returns {{ settings: object, overrides: object }} settings validated,
+ *   overrides as found (importOverrides() cleans them up)
+ */
+export function parseSettingsFile(data) {
+  if (data?.format !== SETTINGS_FILE_FORMAT || typeof data.settings !== "object" || !data.settings) {
+    throw new Error("NOT_A_SETTINGS_FILE");
+  }
+  if (!Number.isInteger(data.version) || data.version > SETTINGS_VERSION) {
+    throw new Error(`UNSUPPORTED_SETTINGS_VERSION: ${data.version}`);
+  }
+  const settings = validateSettings(migrateSettings(data.settings, data.version));
+  for (const key of DEVICE_KEYS) delete settings[key];
+  const overrides =
+    data.overrides && typeof data.overrides === "object" && !Array.isArray(data.overrides)
+      ? data.overrides
+      : {};
+  return { settings, overrides };
+}
+
+/** Copies the settings to chrome.storage.sync. */
+async function pushSyncedSettings(settings) {
+  await chrome.storage.sync.set({
+    [SYNC_KEY]: {
+      version: SETTINGS_VERSION,
+      savedAt: Date.now(),
+      values: shareableSettings(settings, settings.syncApiKeys),
+    },
+  });
+}
+
+/**
+ * Applies the settings other devices synced, when sync is on here. API keys
+ * are only taken with syncApiKeys on.
+ * @returns {Promise<boolean>} whether there was anything to apply
+ */
+export async function pullSyncedSettings() {
+  const local = await loadSettings();
+  if (!local.syncSettings) return false;
+  const { [SYNC_KEY]: synced } = await chrome.storage.sync.get(SYNC_KEY);
+  if (!synced?.values) return false;
+
+  const values = validateSettings(migrateSettings(synced.values, synced.version ?? 0));
+  for (const key of DEVICE_KEYS) delete values[key];
+  if (!local.syncApiKeys) delete values.apiKeys;
+  await chrome.storage.local.set(values);
+  return true;
+}
@@ -0,0 +1,116 @@
+/**
+ * Activity tiers: bands of "days since the last upload", each with a label,
+ * a badge color and whether channels in it are flagged (action button,
+ * unsubscribe queue, inactive counts).
+ *
+ * Stored in settings as `tiers`, sorted by minDays; a tier covers channels
+ * silent for more than its minDays, up to the next tier's. The first tier
+ * always starts at 0. The flag threshold (`thresholdDays`) is where the first
+ * flagged tier starts.
+ *
+ * A channel's custom threshold scales every band by custom / global, so a
+ * channel allowed twice the silence also only counts as "Slowing" twice as
+ * late.
+ *
+ * The one copy of this math: the service worker, options and dashboard
+ * import it, and the content script gets results with `tier` already set
+ * (scan responses, SET_OVERRIDES).
+ */
+
+export const DEFAULT_TIERS = [
+  { id: "active",  label: "Active",  minDays: 0,   color: "#00a86b", flag: false },
+  { id: "slowing", label: "Slowing", minDays: 90,  color: "#b8860b", flag: false },
+  { id: "dormant", label: "Dormant", minDays: 365, color: "#ff641e", flag: true },
+  { id: "dead",    label: "Dead",    minDays: 730, color: "#cb2431", flag: true },
+];
+
+export const MAX_TIERS = 8;
+const MAX_DAYS = 3650;
+
+/**
+ * The default tiers, stretched so the first flagged one starts at
+ * `thresholdDays` – for settings saved before tiers existed.
+ * @param {number} thresholdDays
+ * @returns {object[]}
+ */
+export function defaultTiers(thresholdDays = 365) {
+  const scale = thresholdDays / flagThresholdDays(DEFAULT_TIERS);
+  return DEFAULT_TIERS.map((t) => ({ ...t, minDays: Math.round(t.minDays * scale) }));
+}
+
+/**
+ * Cleans up tiers from storage or the options form: drops malformed ones,
+ * sorts them, starts the first at 0 and makes IDs unique.
+ * @param {object[]} tiers
+ * @returns {object[]} at least one tier
+ */
+export function normalizeTiers(tiers) {
+  const clean = (Array.isArray(tiers) ? tiers : [])
+    .filter((t) => t && typeof t.label === "string" && t.label.trim())
+    .map((t) => ({
+      id: String(t.id || t.label).trim().toLowerCase().replace(/\W+/g, "-"),
+      label: t.label.trim(),
+      minDays: Math.max(0, Math.min(MAX_DAYS, Math.round(Number(t.minDays) || 0))),
+      color: /^#[0-9a-f]{6}$/i.test(t.color) ? t.color : "#909090",
+      flag: t.flag === true,
+    }))
+    .sort((a, b) => a.minDays - b.minDays)
+    .slice(0, MAX_TIERS);
+  if (clean.length === 0) return DEFAULT_TIERS.map((t) => ({ ...t }));
+
+  clean[0].minDays = 0;
+  const seen = new Set();
+  for (const tier of clean) {
+    let id = tier.id;
+    for (let n = 2; seen.has(id); n++) id = `${tier.id}-${n}`;
+    tier.id = id;
+    seen.add(id);
+  }
+  return clean;
+}
+
+/**
+ * Days after which channels are flagged: the start of the first flagged
+ * tier, or of the last tier when none flags.
+ * @param {object[]} tiers
+ * @returns {number}
+ */
+export function flagThresholdDays(tiers) {
+  return (tiers.find((t) => t.flag) ?? tiers[tiers.length - 1]).minDays;
+}
+
+/**
+ * The tier a scan result falls in, with its custom threshold (if any)
+ * scaling the bands.
+ * @param {object}   info  – with daysAgo, thresholdDays, defaultThresholdDays?
+ * @param {object[]} tiers
+ * @returns {object|null} null when there is no upload date
+ */
+export function tierFor(info, tiers) {
+  if (info.daysAgo == null) return null;
+  const base = info.defaultThresholdDays ?? info.thresholdDays;
+  const days = base > 0 && info.thresholdDays > 0
+    ? (info.daysAgo * base) / info.thresholdDays
+    : info.daysAgo;
+
+  let tier = tiers[0];
+  for (const t of tiers) {
+    if (days > t.minDays) tier = t;
+  }
+  return tier;
+}
+
+/**
+ * Channels per tier, for the popup summary.
+ * @param {object[]} results
+ * @param {object[]} tiers
+ * @returns {Array<{ id, label, color, flag, count }>}
+ */
+export function countByTier(results, tiers) {
+  const counts = tiers.map((t) => ({ ...t, count: 0 }));
+  for (const info of results) {
+    const entry = info.tier && counts.find((c) => c.id === info.tier.id);
+    if (entry) entry.count++;
+  }
+  return counts;
+}
@@ -0,0 +1,7 @@
+/**
+ * The kinds of upload scans can tell apart, for the settings (which kinds
+ * count toward inactivity) and the service worker's classification in
+ * background/uploadKinds.js.
+ */
+
+export const UPLOAD_KINDS = ["long", "short", "live"];
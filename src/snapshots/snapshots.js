@@ -0,0 +1,177 @@
+import { downloadFile } from "../shared/download.js";
+
+// ── DOM refs ────────────────────────────────────────────────────────────────
+const $empty          = document.getElementById("empty");
+const $table          = document.getElementById("table");
+const $rows           = document.getElementById("rows");
+const $importFile     = document.getElementById("importFile");
+const $status         = document.getElementById("status");
+const $restore        = document.getElementById("restore");
+const $restoreSummary = document.getElementById("restoreSummary");
+const $missing        = document.getElementById("missing");
+
+// ── Helpers ─────────────────────────────────────────────────────────────────
+function setStatus(el, msg, type = "info") {
+  el.textContent = msg;
+  el.className = `status-msg status-msg--${type}`;
+}
+
+function button(label, className, onClick) {
+  const btn = document.createElement("button");
+  btn.className = `btn ${className}`;
+  btn.textContent = label;
+  btn.addEventListener("click", onClick);
+  return btn;
+}
+
+// Opens YouTube's "Subscribe to X?" confirmation straight away
+function resubscribeUrl(channel) {
+  const path = channel.channelId
+    ? `channel/${channel.channelId}`
+    : encodeURIComponent(channel.handle).replace("%40", "@");
+  return `https://www.youtube.com/${path}?sub_confirmation=1`;
+}
+
+// ── Snapshot list ────────────────────────────────────────────────────────────
+async function loadSnapshots() {
+  const resp = await chrome.runtime.sendMessage({ type: "LIST_SNAPSHOTS" });
+  const snapshots = resp?.snapshots ?? [];
+
+  $rows.replaceChildren(
+    ...snapshots.map((snapshot) => {
+      const tr = document.createElement("tr");
+
+      const taken = document.createElement("td");
+      taken.textContent = new Date(snapshot.createdAt).toLocaleString();
+      const count = document.createElement("td");
+      count.textContent = snapshot.channels.length;
+
+      const actions = document.createElement("td");
+      actions.append(
+        button("Compare with page", "btn--secondary", () => compare(snapshot)),
+        button("Download", "btn--secondary", () => download(snapshot)),
+        button("Delete", "btn--danger-outline", () => remove(snapshot))
+      );
+
+      tr.append(taken, count, actions);
+      return tr;
+    })
+  );
+
+  $table.classList.toggle("hidden", snapshots.length === 0);
+  $empty.classList.toggle("hidden", snapshots.length > 0);
+}
+
+function download(snapshot) {
+  const date = new Date(snapshot.createdAt).toISOString().slice(0, 10);
+  downloadFile(
+    `yt-subscriptions-snapshot-${date}.json`,
+    JSON.stringify(snapshot, null, 2),
+    "application/json"
+  );
+}
+
+async function remove(snapshot) {
+  await chrome.runtime.sendMessage({ type: "DELETE_SNAPSHOT", id: snapshot.id });
+  $restore.classList.add("hidden");
+  loadSnapshots();
+}
+
+// ── Import ───────────────────────────────────────────────────────────────────
+$importFile.addEventListener("change", async () => {
+  const file = $importFile.files[0];
+  $importFile.value = "";
+  if (!file) return;
+
+  let data;
+  try {
+    data = JSON.parse(await file.text());
+  } catch {
+    setStatus($status, "That file isn't valid JSON.", "error");
+    return;
+  }
+
+  const resp = await chrome.runtime.sendMessage({ type: "IMPORT_SNAPSHOT", snapshot: data });
+  if (resp?.ok) {
+    setStatus($status, "Snapshot imported.", "ok");
+    loadSnapshots();
+  } else {
+    setStatus($status, `Import failed: ${resp?.error ?? "unknown error"}`, "error");
+  }
+});
+
+// ── Restore checklist ────────────────────────────────────────────────────────
+async function getPageChannels() {
+  const [tab] = await chrome.tabs.query({
+    url: "https://www.youtube.com/feed/channels*",
+  });
+  if (!tab) return null;
+  try {
+    const resp = await chrome.tabs.sendMessage(tab.id, { type: "GET_PAGE_CHANNELS" });
+    return resp?.ok ? resp.channels : null;
+  } catch {
+    return null;
+  }
+}
+
+async function compare(snapshot) {
+  const pageChannels = await getPageChannels();
+  if (!pageChannels) {
+    setStatus(
+      $status,
+      "Open youtube.com/feed/channels in a tab (and reload it if it was already open), then try again.",
+      "error"
+    );
+    return;
+  }
+  setStatus($status, "");
+
+  // Cards still on the page but already unsubscribed count as missing
+  const current = pageChannels.filter((c) => c.subscribed !== false);
+  const ids = new Set(current.map((c) => c.channelId).filter(Boolean));
+  const handles = new Set(
+    current.map((c) => c.handle?.toLowerCase()).filter(Boolean)
+  );
+
+  const missing = snapshot.channels.filter(
+    (c) =>
+      !(c.channelId && ids.has(c.channelId)) &&
+      !(c.handle && handles.has(c.handle.toLowerCase()))
+  );
+
+  $restoreSummary.textContent =
+    `${missing.length} of ${snapshot.channels.length} channels from the ` +
+    `${new Date(snapshot.createdAt).toLocaleString()} snapshot are not subscribed ` +
+    `on the page (${current.length} cards loaded – scroll the page to the bottom ` +
+    `and compare again if that looks low).`;
+
+  $missing.replaceChildren(
+    ...missing.map((channel) => {
+      const li = document.createElement("li");
+
+      const name = document.createElement("span");
+      name.className = "name";
+      name.textContent = channel.name || channel.handle || channel.channelId;
+
+      const detail = document.createElement("span");
+      detail.className = "muted";
+      detail.textContent = channel.flagged ? "was flagged inactive" : channel.handle ?? "";
+
+      const link = document.createElement("a");
+      link.className = "btn btn--secondary";
+      link.href = resubscribeUrl(channel);
+      link.target = "_blank";
+      link.rel = "noopener";
+      link.textContent = "Resubscribe";
+      link.addEventListener("click", () => li.classList.add("done"));
+
+      li.append(name, detail, link);
+      return li;
+    })
+  );
+
+  $restore.classList.remove("hidden");
+}
+
+// ── Init ──────────────────────────────────────────────────────────────────────
+loadSnapshots();
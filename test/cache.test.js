@@ -0,0 +1,74 @@
+import { test, before } from "node:test";
+import assert from "node:assert/strict";
+import { installChrome } from "./helpers/chrome.js";
+import { installIndexedDb } from "./helpers/indexedDb.js";
+import {
+  getCacheEntries,
+  listCacheEntries,
+  setCacheEntries,
+  countCacheEntries,
+  markSeen,
+  clearCache,
+} from "../src/background/cache.js";
+
+const entry = (lastUploadAt) => ({
+  uploadsPlaylistId: "UUx",
+  lastUploadAt,
+  lastCheckedAt: Date.now(),
+});
+
+// The database opens once per module, as in the service worker, so the
+// tests below run in order against the same one
+before(async () => {
+  installIndexedDb();
+  installChrome();
+  // Left by a version that cached in chrome.storage.local
+  await chrome.storage.local.set({
+    "cache.UCold1": entry("2024-01-01T00:00:00Z"),
+    "cache.UCold2": entry(null),
+    apiKeys: [],
+  });
+});
+
+test("migration 1 moves chrome.storage.local entries into IndexedDB", async () => {
+  const entries = await listCacheEntries();
+  assert.deepEqual(Object.keys(entries).sort(), ["UCold1", "UCold2"]);
+  assert.equal(entries.UCold1.lastUploadAt, "2024-01-01T00:00:00Z");
+
+  const left = await chrome.storage.local.get(null);
+  assert.deepEqual(Object.keys(left), ["apiKeys"]);
+  const counts = await countCacheEntries(0);
+  assert.deepEqual(counts, { total: 2, stale: 0, noUploads: 1 });
+});
+
+test("evicts channels missing from N complete visits in a row", async () => {
+  await clearCache();
+  await setCacheEntries({ UCa: entry(null), UCb: entry(null), UCc: entry(null) });
+
+  assert.equal(await markSeen(["UCa", "UCb", "UCc"], "visit-1", 2, true), 0);
+  assert.equal(await markSeen(["UCa", "UCb"], "visit-2", 2, true), 0);
+  // Seen last in visit 1, missing from 2 and 3
+  assert.equal(await markSeen(["UCa"], "visit-3", 2, true), 1);
+  assert.deepEqual(Object.keys(await getCacheEntries(["UCa", "UCb", "UCc"])), ["UCa", "UCb"]);
+});
+
+test("partial lists and repeated scans of one visit don't count", async () => {
+  await clearCache();
+  await setCacheEntries({ UCa: entry(null), UCb: entry(null) });
+  await markSeen(["UCa", "UCb"], "visit-4", 1, true);
+
+  // Still loading: UCb just hasn't been rendered yet
+  assert.equal(await markSeen(["UCa"], "visit-5", 1, false), 0);
+  // The same visit again, once complete
+  assert.equal(await markSeen(["UCa", "UCb"], "visit-4", 1, true), 0);
+  assert.equal(Object.keys(await listCacheEntries()).length, 2);
+});
+
+test("0 keeps channels forever", async () => {
+  await clearCache();
+  await setCacheEntries({ UCa: entry(null) });
+  for (const visit of ["visit-6", "visit-7", "visit-8"]) {
+    assert.equal(await markSeen([], visit, 0, true), 0);
+  }
+  assert.deepEqual(Object.keys(await listCacheEntries()), ["UCa"]);
+});
@@ -0,0 +1,51 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { typicalIntervalDays, isGoingQuiet } from "../src/background/cadence.js";
+
+// Upload dates `gaps` days apart, newest first, ending on 2024-05-01
+function uploads(...gaps) {
+  let time = Date.parse("2024-05-01T12:00:00Z");
+  const dates = [new Date(time).toISOString()];
+  for (const days of gaps) {
+    time -= days * 24 * 60 * 60 * 1000;
+    dates.push(new Date(time).toISOString());
+  }
+  return dates;
+}
+
+test("the typical interval is the median gap between uploads", () => {
+  assert.equal(typicalIntervalDays(uploads(7, 7, 7)), 7);
+  // One long break doesn't move the median
+  assert.equal(typicalIntervalDays(uploads(3, 4, 200, 5)), 5); // (4 + 5) / 2, rounded
+  assert.equal(typicalIntervalDays(uploads(2, 30, 3, 2, 4)), 3);
+});
+
+test("upload order and missing dates don't matter", () => {
+  const dates = uploads(10, 12, 14);
+  assert.equal(typicalIntervalDays([...dates].reverse()), 12);
+  assert.equal(typicalIntervalDays([null, ...dates, null]), 12);
+});
+
+test("too few uploads give no interval", () => {
+  assert.equal(typicalIntervalDays([]), null);
+  assert.equal(typicalIntervalDays(uploads(7, 7)), null);
+});
+
+test("several uploads a day still count as a one-day interval", () => {
+  assert.equal(typicalIntervalDays(uploads(0.1, 0.2, 0.1)), 1);
+});
+
+test("a channel goes quiet past factor × its usual gap", () => {
+  assert.equal(isGoingQuiet(29, 7, 4), true);
+  assert.equal(isGoingQuiet(28, 7, 4), false);
+});
+
+test("no channel goes quiet within the first two weeks", () => {
+  assert.equal(isGoingQuiet(13, 1, 4), false);
+  assert.equal(isGoingQuiet(15, 1, 4), true);
+});
+
+test("without an upload date or an interval nothing is quiet", () => {
+  assert.equal(isGoingQuiet(null, 7, 4), false);
+  assert.equal(isGoingQuiet(400, null, 4), false);
+});
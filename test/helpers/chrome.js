@@ -0,0 +1,98 @@
+/**
+ * Stand-ins for the browser APIs the background modules use, so they can run
+ * under `node --test`:
+ *
+ *   installChrome()  – chrome.storage areas kept in memory, chrome.identity
+ *                      answering the sign-in flow with a canned redirect
+ *   mockFetch()      – a fetch() that hands every request to a handler and
+ *                      records it
+ *   fixture()        – a file from test/fixtures as text
+ */
+
+import { readFileSync } from "node:fs";
+
+function storageArea() {
+  let items = {};
+  return {
+    async get(keys) {
+      if (keys == null) return structuredClone(items);
+      const defaults = typeof keys === "object" && !Array.isArray(keys) ? keys : {};
+      const names = typeof keys === "string" ? [keys] : Array.isArray(keys) ? keys : Object.keys(keys);
+      const out = {};
+      for (const name of names) {
+        if (name in items) out[name] = structuredClone(items[name]);
+        else if (name in defaults) out[name] = defaults[name];
+      }
+      return out;
+    },
+    async set(values) {
+      items = { ...items, ...structuredClone(values) };
+    },
+    async remove(keys) {
+      for (const name of [].concat(keys)) delete items[name];
+    },
+    async clear() {
+      items = {};
+    },
+  };
+}
+
+const REDIRECT_URL = "https://extension-id.chromiumapp.org/";
+
+/**
+ * Installs a fresh `globalThis.chrome`.
+ * @param {{ authRedirect?: (url: URL) => string }} [options]
+ *   builds the URL launchWebAuthFlow "redirects" to; by default a token
+ *   "test-token" valid for an hour
+ * @returns {{ authFlows: URL[] }} the sign-in flows started
+ */
+export function installChrome({ authRedirect } = {}) {
+  const authFlows = [];
+  globalThis.chrome = {
+    storage: {
+      local: storageArea(),
+      session: storageArea(),
+      sync: storageArea(),
+    },
+    identity: {
+      getRedirectURL: () => REDIRECT_URL,
+      async launchWebAuthFlow({ url }) {
+        const parsed = new URL(url);
+        authFlows.push(parsed);
+        return authRedirect
+          ? authRedirect(parsed)
+          : `${REDIRECT_URL}#access_token=test-token&token_type=Bearer&expires_in=3600`;
+      },
+    },
+  };
+  return { authFlows };
+}
+
+/**
+ * Replaces `globalThis.fetch`.
+ * @param {(url: URL, init: object) => Response|Promise<Response>} handler
+ * @returns {Array<{ url: URL, init: object }>} the requests made, in order
+ */
+export function mockFetch(handler) {
+  const requests = [];
+  globalThis.fetch = async (url, init = {}) => {
+    init.signal?.throwIfAborted();
+    const request = { url: new URL(url), init };
+    requests.push(request);
+    return handler(request.url, init);
+  };
+  return requests;
+}
+
+/** A JSON response, like the Data API's. */
+export function jsonResponse(body, status = 200) {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { "Content-Type": "application/json" },
+  });
+}
+
+/** Contents of test/fixtures/<name>. */
+export function fixture(name) {
+  return readFileSync(new URL(`../fixtures/${name}`, import.meta.url), "utf8");
+}
@@ -0,0 +1,208 @@
+/**
+ * A small in-memory IndexedDB, just enough for cache.js: opening with an
+ * upgrade, object stores with a keyPath, indexes (get/count/openCursor with
+ * IDBKeyRange.upperBound) and transactions that complete once their last
+ * request has run.
+ *
+ * Requests run in order on the microtask queue, so handlers set right after
+ * the call see them; a transaction completes on the next task after its
+ * queue goes idle, letting onsuccess handlers queue more requests first.
+ */
+
+const matches = (query, key) => (query?.includes ? query.includes(key) : query === key);
+
+const compare = (a, b) => (a < b ? -1 : a > b ? 1 : 0);
+
+class Request {
+  result = undefined;
+  error = null;
+  onsuccess = null;
+  onerror = null;
+
+  succeed(result) {
+    this.result = result;
+    this.onsuccess?.({ target: this });
+  }
+}
+
+class Transaction {
+  oncomplete = null;
+  onerror = null;
+  onabort = null;
+  error = null;
+  #pending = 0;
+
+  constructor(db) {
+    this.db = db;
+    this.#idle();
+  }
+
+  objectStore(name) {
+    return new ObjectStore(this, this.db.stores.get(name));
+  }
+
+  // Runs `op` as a request of this transaction; its return value is the result
+  request(op) {
+    const request = new Request();
+    this.#pending++;
+    queueMicrotask(() => {
+      request.succeed(op(request));
+      this.#pending--;
+      this.#idle();
+    });
+    return request;
+  }
+
+  // Keeps the transaction open while a cursor walks on
+  hold() {
+    this.#pending++;
+  }
+
+  release() {
+    this.#pending--;
+    this.#idle();
+  }
+
+  #idle() {
+    setTimeout(() => {
+      if (this.#pending === 0 && !this.done) {
+        this.done = true;
+        this.oncomplete?.();
+      }
+    });
+  }
+}
+
+class ObjectStore {
+  constructor(tx, store) {
+    this.tx = tx;
+    this.store = store;
+  }
+
+  get(key) {
+    return this.tx.request(() => structuredClone(this.store.records.get(key)));
+  }
+
+  getAll() {
+    return this.tx.request(() => [...this.store.records.values()].map((r) => structuredClone(r)));
+  }
+
+  put(value) {
+    return this.tx.request(() => {
+      const key = value[this.store.keyPath];
+      this.store.records.set(key, structuredClone(value));
+      return key;
+    });
+  }
+
+  count(query) {
+    return this.tx.request(() =>
+      query === undefined
+        ? this.store.records.size
+        : [...this.store.records.keys()].filter((key) => matches(query, key)).length
+    );
+  }
+
+  clear() {
+    return this.tx.request(() => this.store.records.clear());
+  }
+
+  createIndex(name, keyPath) {
+    this.store.indexes.set(name, keyPath);
+  }
+
+  index(name) {
+    return new Index(this, this.store.indexes.get(name));
+  }
+}
+
+class Index {
+  constructor(objectStore, keyPath) {
+    this.objectStore = objectStore;
+    this.keyPath = keyPath;
+  }
+
+  #matching(query) {
+    const { records, keyPath } = this.objectStore.store;
+    return [...records.values()]
+      .filter((r) => r[this.keyPath] !== undefined && matches(query, r[this.keyPath]))
+      .sort((a, b) => compare(a[this.keyPath], b[this.keyPath]))
+      .map((r) => r[keyPath]);
+  }
+
+  count(query) {
+    return this.objectStore.tx.request(() => this.#matching(query).length);
+  }
+
+  openCursor(query) {
+    const { tx, store } = this.objectStore;
+    return tx.request((request) => {
+      const keys = this.#matching(query);
+      let i = 0;
+      const cursorAt = () => {
+        if (i >= keys.length) return null;
+        const key = keys[i];
+        return {
+          value: structuredClone(store.records.get(key)),
+          delete: () => store.records.delete(key),
+          continue: () => {
+            i++;
+            tx.hold();
+            queueMicrotask(() => {
+              request.succeed(cursorAt());
+              tx.release();
+            });
+          },
+        };
+      };
+      return cursorAt();
+    });
+  }
+}
+
+class Database {
+  version = 0;
+  stores = new Map();
+
+  createObjectStore(name, { keyPath }) {
+    const store = { keyPath, records: new Map(), indexes: new Map() };
+    this.stores.set(name, store);
+    return new ObjectStore(null, store);
+  }
+
+  transaction() {
+    return new Transaction(this);
+  }
+}
+
+/**
+ * Installs a fresh `globalThis.indexedDB` and `IDBKeyRange`.
+ *
+ * cache.js keeps its connection for the life of the module, so install this
+ * once per test file, before the first cache call.
+ */
+export function installIndexedDb() {
+  const databases = new Map();
+  globalThis.indexedDB = {
+    open(name, version) {
+      const request = new Request();
+      setTimeout(() => {
+        if (!databases.has(name)) databases.set(name, new Database());
+        const db = databases.get(name);
+        if (db.version < version) {
+          const oldVersion = db.version;
+          db.version = version;
+          request.result = db;
+          request.onupgradeneeded?.({ oldVersion, newVersion: version });
+        }
+        request.succeed(db);
+      });
+      return request;
+    },
+  };
+  globalThis.IDBKeyRange = {
+    upperBound: (bound, open = false) => ({
+      includes: (key) => (open ? key < bound : key <= bound),
+    }),
+  };
+}
@@ -0,0 +1,60 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createLimiter, sleep } from "../src/background/limiter.js";
+
+test("runs at most `concurrency` operations at once", async () => {
+  const limit = createLimiter(2);
+  let running = 0;
+  let most = 0;
+  const op = async () => {
+    running++;
+    most = Math.max(most, running);
+    await sleep(5);
+    running--;
+  };
+
+  await Promise.all([op, op, op, op, op].map((fn) => limit(fn)));
+  assert.equal(most, 2);
+});
+
+test("drops queued operations when the signal aborts", async () => {
+  const controller = new AbortController();
+  const limit = createLimiter(1, controller.signal);
+  const started = [];
+  const op = (name) => () => {
+    started.push(name);
+    return sleep(20);
+  };
+
+  const running = limit(op("first"));
+  const queued = limit(op("second"));
+  controller.abort(new Error("Stopped"));
+
+  await assert.rejects(queued, /Stopped/);
+  await assert.rejects(limit(op("third")), /Stopped/);
+  await running; // left to finish, or to notice the signal, by itself
+  assert.deepEqual(started, ["first"]);
+});
+
+test("sleep rejects with the abort reason", async () => {
+  const controller = new AbortController();
+  const wait = sleep(60_000, controller.signal);
+  controller.abort(new Error("Stopped"));
+  await assert.rejects(wait, /Stopped/);
+
+  await assert.rejects(sleep(10, controller.signal), /Stopped/);
+});
+
+test("sleep lets go of the signal once it resolves", async () => {
+  const controller = new AbortController();
+  const { signal } = controller;
+  let listeners = 0;
+  const add = signal.addEventListener.bind(signal);
+  const remove = signal.removeEventListener.bind(signal);
+  signal.addEventListener = (...args) => (listeners++, add(...args));
+  signal.removeEventListener = (...args) => (listeners--, remove(...args));
+
+  await sleep(1, signal);
+  await sleep(1, signal);
+  assert.equal(listeners, 0);
+});
@@ -0,0 +1,103 @@
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { installChrome, mockFetch, jsonResponse, fixture } from "./helpers/chrome.js";
+import { DEFAULTS } from "../src/shared/settings.js";
+import { fetchSubscribedChannels } from "../src/background/youtubeApi.js";
+
+// OAuth mode pointed at a local stand-in, as the options page allows
+const settings = {
+  ...DEFAULTS,
+  authMode: "oauth",
+  oauthClientId: "client-123.apps.googleusercontent.com",
+  apiBaseUrl: "http://localhost:8089/youtube/v3",
+  oauthAuthUrl: "http://localhost:8089/o/oauth2/v2/auth",
+};
+
+const PAGES = {
+  "": "subscriptions-page1.json",
+  CAIQAA: "subscriptions-page2.json",
+};
+
+let chrome;
+beforeEach(() => {
+  chrome = installChrome();
+});
+
+function standIn(url, init) {
+  assert.equal(url.origin, "http://localhost:8089");
+  assert.equal(url.pathname, "/youtube/v3/subscriptions");
+  if (init.headers?.Authorization !== "Bearer test-token") {
+    return jsonResponse({ error: { code: 401, message: "Invalid Credentials" } }, 401);
+  }
+  const page = PAGES[url.searchParams.get("pageToken") ?? ""];
+  return jsonResponse(JSON.parse(fixture(page)));
+}
+
+test("pages through subscriptions.list?mine=true", async () => {
+  const requests = mockFetch(standIn);
+
+  const channels = await fetchSubscribedChannels(settings);
+
+  assert.deepEqual(
+    channels.map((c) => c.channelId),
+    ["UCsXVk37bltHxD1rDPwtNM8Q", "UCoxcjq-8xIDTYp3uz647V5A", "UCBa659QWEk1AI4Tg--mrJ2A"]
+  );
+  assert.equal(channels[0].title, "Kurzgesagt – In a Nutshell");
+  assert.equal(channels[2].avatarUrl, null);
+
+  assert.equal(requests.length, 2);
+  for (const { url } of requests) {
+    assert.equal(url.searchParams.get("mine"), "true");
+    assert.equal(url.searchParams.get("maxResults"), "50");
+    assert.equal(url.searchParams.has("key"), false);
+  }
+  assert.equal(requests[1].url.searchParams.get("pageToken"), "CAIQAA");
+});
+
+test("signs in against the configured authorization URL once", async () => {
+  mockFetch(standIn);
+
+  await fetchSubscribedChannels(settings);
+  await fetchSubscribedChannels(settings);
+
+  assert.equal(chrome.authFlows.length, 1);
+  const [flow] = chrome.authFlows;
+  assert.equal(flow.origin + flow.pathname, settings.oauthAuthUrl);
+  assert.equal(flow.searchParams.get("client_id"), settings.oauthClientId);
+  assert.equal(flow.searchParams.get("response_type"), "token");
+});
+
+test("records one quota unit per page", async () => {
+  mockFetch(standIn);
+
+  await fetchSubscribedChannels(settings);
+
+  const { quotaLedger } = await globalThis.chrome.storage.local.get("quotaLedger");
+  const [day] = Object.values(quotaLedger);
+  assert.deepEqual(day.byEndpoint, { subscriptions: 2 });
+});
+
+test("forgets a token the stand-in rejects", async () => {
+  installChrome({
+    authRedirect: () => "https://extension-id.chromiumapp.org/#access_token=stale&expires_in=3600",
+  });
+  mockFetch(standIn);
+
+  await assert.rejects(fetchSubscribedChannels(settings), (e) => e.isAuth && e.status === 401);
+  const { oauthToken } = await globalThis.chrome.storage.session.get("oauthToken");
+  assert.equal(oauthToken, undefined);
+});
+
+test("stops paging once the signal aborts", async () => {
+  const controller = new AbortController();
+  const requests = mockFetch((url, init) => {
+    controller.abort(); // Stop pressed while the first page loads
+    return standIn(url, init);
+  });
+
+  await assert.rejects(
+    fetchSubscribedChannels(settings, controller.signal),
+    (e) => e.name === "AbortError"
+  );
+  assert.equal(requests.length, 1);
+});
@@ -0,0 +1,50 @@
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { installChrome } from "./helpers/chrome.js";
+import { DEFAULTS } from "../src/shared/settings.js";
+import {
+  recordUnits,
+  markKeyExhausted,
+  exhaustedKeys,
+  getQuotaUsage,
+  quotaDay,
+} from "../src/background/quota.js";
+
+beforeEach(() => {
+  installChrome();
+});
+
+test("an exhausted key is known before its ledger write lands", async () => {
+  const write = markKeyExhausted("key-1");
+  assert.ok((await exhaustedKeys()).has("key-1"));
+  await write;
+
+  const { quotaLedger } = await chrome.storage.local.get("quotaLedger");
+  assert.deepEqual(quotaLedger[quotaDay()].exhaustedKeys, ["key-1"]);
+});
+
+test("exhausted keys are read from the ledger once", async () => {
+  await exhaustedKeys();
+  let reads = 0;
+  const get = chrome.storage.local.get;
+  chrome.storage.local.get = (keys) => (reads++, get(keys));
+
+  await recordUnits("playlistItems");
+  await exhaustedKeys();
+  await exhaustedKeys();
+  assert.equal(reads, 1); // the unit write's own read-modify-write
+});
+
+test("a failed ledger write is reported without blocking the next", async () => {
+  const set = chrome.storage.local.set;
+  chrome.storage.local.set = async () => {
+    throw new Error("QUOTA_BYTES quota exceeded");
+  };
+  await recordUnits("channels");
+
+  chrome.storage.local.set = set;
+  await recordUnits("channels");
+  const usage = await getQuotaUsage(DEFAULTS);
+  assert.equal(usage.used, 1);
+  assert.deepEqual(usage.lostWrites, { count: 1, error: "QUOTA_BYTES quota exceeded" });
+});
@@ -0,0 +1,104 @@
+import { test, before, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { installChrome, mockFetch, jsonResponse, fixture } from "./helpers/chrome.js";
+import { installIndexedDb } from "./helpers/indexedDb.js";
+import { DEFAULTS } from "../src/shared/settings.js";
+import { parseChannelFeed, fetchChannelFeed } from "../src/background/rss.js";
+import { fetchLastUploadDates, estimateScanCost } from "../src/background/youtubeApi.js";
+import { clearCache, getCacheEntries } from "../src/background/cache.js";
+
+const FEED = "UCfeedChannel0000000000a";
+const NO_FEED = "UCgoneFeedChannel00000c";
+
+before(() => {
+  installIndexedDb();
+});
+
+beforeEach(async () => {
+  installChrome();
+  await clearCache();
+});
+
+function feedResponse(name, status = 200) {
+  return new Response(fixture(name), {
+    status,
+    headers: { "Content-Type": status === 200 ? "text/xml; charset=UTF-8" : "text/html" },
+  });
+}
+
+test("reads the title and uploads of a channel feed", () => {
+  const feed = parseChannelFeed(fixture("videos.xml"));
+  assert.equal(feed.title, "Tom & Jerry's Workshop");
+  assert.deepEqual(feed.uploads, [
+    { videoId: "vid00000003", publishedAt: "2024-05-01T15:00:06Z" },
+    // vid00000002 has no <published> (a scheduled premiere) and is left out
+    { videoId: "vid00000001", publishedAt: "2024-04-12T16:45:00Z" },
+  ]);
+});
+
+test("a feed without entries has no uploads", () => {
+  const feed = parseChannelFeed(fixture("videos-empty.xml"));
+  assert.equal(feed.title, "Quiet Channel");
+  assert.deepEqual(feed.uploads, []);
+});
+
+test("an HTML page isn't taken for a feed", () => {
+  assert.throws(() => parseChannelFeed(fixture("videos-404.html")), /Not a channel feed/);
+});
+
+test("a 404 is thrown with its status, without retrying", async () => {
+  const requests = mockFetch(() => feedResponse("videos-404.html", 404));
+  await assert.rejects(fetchChannelFeed(NO_FEED), { status: 404 });
+  assert.equal(requests.length, 1);
+  assert.equal(requests[0].url.searchParams.get("channel_id"), NO_FEED);
+});
+
+test("rssFallback asks the API only for channels whose feed failed", async () => {
+  const requests = mockFetch((url) => {
+    if (url.hostname === "www.youtube.com") {
+      return url.searchParams.get("channel_id") === FEED
+        ? feedResponse("videos.xml")
+        : feedResponse("videos-404.html", 404);
+    }
+    assert.equal(url.searchParams.get("key"), "AIza-test");
+    if (url.pathname.endsWith("/channels")) {
+      assert.equal(url.searchParams.get("id"), NO_FEED);
+      return jsonResponse(JSON.parse(fixture("channels-fallback.json")));
+    }
+    assert.equal(url.searchParams.get("playlistId"), "UUgoneFeedChannel00000c");
+    return jsonResponse(JSON.parse(fixture("playlistItems-fallback.json")));
+  });
+  const settings = {
+    ...DEFAULTS,
+    dataSource: "rssFallback",
+    apiKeys: [{ id: "key-1", label: "Key 1", key: "AIza-test" }],
+    thresholdDays: 365,
+  };
+
+  const results = await fetchLastUploadDates([FEED, NO_FEED], settings);
+
+  assert.equal(results[FEED].lastUploadAt, "2024-05-01T15:00:06Z");
+  assert.equal(results[NO_FEED].lastUploadAt, "2023-11-30T20:00:00Z");
+  assert.deepEqual(
+    requests.map((r) => r.url.hostname),
+    ["www.youtube.com", "www.youtube.com", "www.googleapis.com", "www.googleapis.com"]
+  );
+
+  const cached = await getCacheEntries([FEED, NO_FEED]);
+  assert.equal(cached[FEED].source, "rss");
+  assert.equal(cached[FEED].title, "Tom & Jerry's Workshop");
+  assert.equal(cached[NO_FEED].source, undefined);
+  assert.equal(cached[NO_FEED].uploadsPlaylistId, "UUgoneFeedChannel00000c");
+  assert.equal(cached[NO_FEED].title, "Feedless Tinkering");
+});
+
+test("rssFallback scans are budgeted as if every feed failed", async () => {
+  const apiKeys = [{ id: "key-1", label: "Key 1", key: "AIza-test" }];
+  const ids = [FEED, NO_FEED];
+
+  const fallback = await estimateScanCost(ids, { ...DEFAULTS, dataSource: "rssFallback", apiKeys });
+  assert.equal(fallback.units, 3); // two playlistItems calls, one channels.list batch
+
+  const feedsOnly = await estimateScanCost(ids, { ...DEFAULTS, dataSource: "rss", apiKeys });
+  assert.equal(feedsOnly.units, 0);
+});
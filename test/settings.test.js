@@ -0,0 +1,45 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  DEFAULTS,
+  validateSettings,
+  shareableSettings,
+  parseSettingsFile,
+  SETTINGS_FILE_FORMAT,
+  SETTINGS_VERSION,
+} from "../src/shared/settings.js";
+
+test("endpoints accept Google's own hosts and local stand-ins only", () => {
+  const ok = {
+    apiBaseUrl: "http://127.0.0.1:8089/youtube/v3/",
+    oauthAuthUrl: "https://accounts.google.com/o/oauth2/v2/auth",
+  };
+  assert.deepEqual(validateSettings(ok), {
+    apiBaseUrl: "http://127.0.0.1:8089/youtube/v3",
+    oauthAuthUrl: "https://accounts.google.com/o/oauth2/v2/auth",
+  });
+
+  for (const url of [
+    "https://attacker.example/youtube/v3",
+    "http://www.googleapis.com/youtube/v3",
+    "https://www.googleapis.com.attacker.example/youtube/v3",
+    "https://accounts.google.com/o/oauth2/v2/auth", // the wrong Google host
+    "file:///etc/passwd",
+  ]) {
+    assert.deepEqual(validateSettings({ apiBaseUrl: url }), {}, url);
+  }
+});
+
+test("endpoints stay out of exports and imports", () => {
+  const settings = { ...DEFAULTS, apiBaseUrl: "http://localhost/youtube/v3" };
+  const shared = shareableSettings(settings, true);
+  assert.ok(!("apiBaseUrl" in shared));
+  assert.ok(!("oauthAuthUrl" in shared));
+
+  const { settings: imported } = parseSettingsFile({
+    format: SETTINGS_FILE_FORMAT,
+    version: SETTINGS_VERSION,
+    settings: { apiBaseUrl: "http://localhost/youtube/v3", snoozeDays: 30 },
+  });
+  assert.deepEqual(imported, { snoozeDays: 30 });
+});
@@ -0,0 +1,80 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  DEFAULT_TIERS,
+  MAX_TIERS,
+  defaultTiers,
+  normalizeTiers,
+  flagThresholdDays,
+  tierFor,
+  countByTier,
+} from "../src/shared/tiers.js";
+
+const ids = (tiers) => tiers.map((t) => t.id);
+
+test("normalizes tiers: sorted, first at 0, unique IDs", () => {
+  const tiers = normalizeTiers([
+    { label: "Gone quiet", minDays: 400.4, color: "#123abc", flag: true },
+    { label: "Fine", minDays: 5 },
+    { id: "Gone quiet", label: "Also quiet", minDays: 800, flag: "yes" },
+  ]);
+  assert.deepEqual(ids(tiers), ["fine", "gone-quiet", "gone-quiet-2"]);
+  assert.deepEqual(tiers.map((t) => t.minDays), [0, 400, 800]);
+  assert.equal(tiers[0].color, "#909090");
+  assert.equal(tiers[1].color, "#123abc");
+  assert.deepEqual(tiers.map((t) => t.flag), [false, true, false]);
+});
+
+test("drops malformed tiers and clamps the days", () => {
+  const tiers = normalizeTiers([
+    null,
+    { label: "  " },
+    { label: "Start", minDays: -5 },
+    { label: "Forever", minDays: 1e9 },
+  ]);
+  assert.deepEqual(ids(tiers), ["start", "forever"]);
+  assert.deepEqual(tiers.map((t) => t.minDays), [0, 3650]);
+});
+
+test("keeps at most MAX_TIERS, and falls back to the defaults when none survive", () => {
+  const many = Array.from({ length: 12 }, (_, i) => ({ label: `T${i}`, minDays: i * 10 }));
+  assert.equal(normalizeTiers(many).length, MAX_TIERS);
+  assert.deepEqual(normalizeTiers("nope"), DEFAULT_TIERS);
+});
+
+test("the flag threshold is where the first flagged tier starts", () => {
+  assert.equal(flagThresholdDays(DEFAULT_TIERS), 365);
+  const noneFlagged = DEFAULT_TIERS.map((t) => ({ ...t, flag: false }));
+  assert.equal(flagThresholdDays(noneFlagged), 730);
+});
+
+test("default tiers stretch to an older single threshold", () => {
+  const tiers = defaultTiers(730);
+  assert.deepEqual(tiers.map((t) => t.minDays), [0, 180, 730, 1460]);
+  assert.equal(flagThresholdDays(tiers), 730);
+});
+
+test("bands are exclusive at their lower bound", () => {
+  const tier = (daysAgo) => tierFor({ daysAgo, thresholdDays: 365 }, DEFAULT_TIERS)?.id;
+  assert.equal(tier(0), "active");
+  assert.equal(tier(90), "active");
+  assert.equal(tier(91), "slowing");
+  assert.equal(tier(365), "slowing");
+  assert.equal(tier(366), "dormant");
+  assert.equal(tier(731), "dead");
+  assert.equal(tier(null), undefined);
+});
+
+test("a custom threshold scales every band", () => {
+  // Allowed twice the silence: "Slowing" also starts twice as late
+  const info = { daysAgo: 150, thresholdDays: 730, defaultThresholdDays: 365 };
+  assert.equal(tierFor(info, DEFAULT_TIERS).id, "active");
+  assert.equal(tierFor({ ...info, daysAgo: 700 }, DEFAULT_TIERS).id, "slowing");
+});
+
+test("counts results per tier", () => {
+  const [active, , dormant] = DEFAULT_TIERS;
+  const results = [{ tier: active }, { tier: dormant }, { tier: dormant }, {}];
+  const counts = countByTier(results, DEFAULT_TIERS);
+  assert.deepEqual(counts.map((c) => c.count), [1, 0, 2, 0]);
+});
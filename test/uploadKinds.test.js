@@ -0,0 +1,71 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  parseDuration,
+  classifyVideo,
+  lastUploadByKind,
+  countedLastUpload,
+} from "../src/background/uploadKinds.js";
+
+test("reads ISO 8601 durations", () => {
+  assert.equal(parseDuration("PT45S"), 45);
+  assert.equal(parseDuration("PT1H2M3S"), 3723);
+  assert.equal(parseDuration("P1DT2H"), 93600);
+  assert.equal(parseDuration("P0D"), 0);
+  assert.equal(parseDuration("1:02:03"), null);
+  assert.equal(parseDuration(undefined), null);
+});
+
+test("tells long-form videos, Shorts and livestreams apart", () => {
+  assert.equal(classifyVideo({ contentDetails: { duration: "PT12M30S" } }), "long");
+  assert.equal(classifyVideo({ contentDetails: { duration: "PT59S" } }), "short");
+  // Shorts can run up to three minutes
+  assert.equal(classifyVideo({ contentDetails: { duration: "PT3M" } }), "short");
+  assert.equal(classifyVideo({ contentDetails: { duration: "PT3M1S" } }), "long");
+  assert.equal(
+    classifyVideo({
+      contentDetails: { duration: "PT1M" },
+      liveStreamingDetails: { actualStartTime: "2024-05-01T15:00:00Z" },
+    }),
+    "live"
+  );
+});
+
+test("streams that haven't started have no kind yet", () => {
+  const upcoming = {
+    contentDetails: { duration: "P0D" },
+    liveStreamingDetails: { scheduledStartTime: "2024-06-01T15:00:00Z" },
+  };
+  assert.equal(classifyVideo(upcoming), null);
+});
+
+test("a video without a duration counts as long-form", () => {
+  assert.equal(classifyVideo({ contentDetails: {} }), "long");
+});
+
+test("finds the newest upload of each kind", () => {
+  const uploads = [
+    { videoId: "a", publishedAt: "2024-04-01T00:00:00Z" },
+    { videoId: "b", publishedAt: "2024-05-01T00:00:00Z" },
+    { videoId: "c", publishedAt: "2024-03-01T00:00:00Z" },
+    { videoId: "d", publishedAt: null },
+    { videoId: "e", publishedAt: "2024-06-01T00:00:00Z" }, // unclassified
+  ];
+  const kinds = { a: "long", b: "short", c: "long", d: "live" };
+  assert.deepEqual(lastUploadByKind(uploads, kinds), {
+    long: "2024-04-01T00:00:00Z",
+    short: "2024-05-01T00:00:00Z",
+    live: null,
+  });
+});
+
+test("only the counted kinds make the last upload", () => {
+  const lastByKind = {
+    long: "2023-01-01T00:00:00Z",
+    short: "2024-05-01T00:00:00Z",
+    live: null,
+  };
+  assert.equal(countedLastUpload(lastByKind, ["long"]), "2023-01-01T00:00:00Z");
+  assert.equal(countedLastUpload(lastByKind, ["long", "short"]), "2024-05-01T00:00:00Z");
+  assert.equal(countedLastUpload(lastByKind, ["live"]), null);
+});